@@ -0,0 +1,161 @@
+// Rule-based autotiling: picks edge, corner and cap variants for terrain tiles by looking at their neighbours,
+// so generated platforms get proper ends, overhangs and inner corners instead of identical blocks.
+// This module only deals in tile names and map lookups, so it has no dependencies of its own.
+
+/**
+ * Bit flags for each of a tile's 8 neighbours, clockwise from the top.
+ * Rows increase toward the bottom of the map, so "N" is the tile above.
+ */
+export const Neighbour = Object.freeze({
+    N: 1, NE: 2, E: 4, SE: 8, S: 16, SW: 32, W: 64, NW: 128,
+});
+
+// Offsets from a tile to each of its neighbours.
+const NeighbourOffsets = Object.freeze({
+    N: [0, -1], NE: [1, -1], E: [1, 0], SE: [1, 1], S: [0, 1], SW: [-1, 1], W: [-1, 0], NW: [-1, -1],
+});
+
+// Each diagonal only matters when both of the edges beside it are filled. (Otherwise that corner is
+// already drawn as an outer edge.) These are the two edges to check for each diagonal.
+const DiagonalEdges = Object.freeze({
+    NE: ["N", "E"], SE: ["S", "E"], SW: ["S", "W"], NW: ["N", "W"],
+});
+
+/**
+ * One rule in an autotiling ruleset. When every listed neighbour matches, the layer is drawn.
+ * @typedef {Object} AutotileRule
+ * @property {string[]} [filled] Neighbours (like "N" or "SW") that must contain the same terrain.
+ * @property {string[]} [open] Neighbours that must not contain the same terrain.
+ * @property {string} layer Name of the tile image to draw when this rule applies. Layers stack in rule order.
+ */
+
+/**
+ * A complete autotiling ruleset, as plain data so it can be saved alongside the tile images it uses.
+ * @typedef {Object} AutotileRuleset
+ * @property {string} name Name used to refer to this ruleset from tile definitions.
+ * @property {boolean} diagonals False to look only at the 4 edge neighbours (16 variants),
+ * or true to include the diagonal neighbours too (the 47 variant "blob" set).
+ * @property {AutotileRule[]} rules Rules to apply, in drawing order.
+ */
+
+// Rules shared by both of our grass & dirt rulesets: the 16 combinations of open or filled edges.
+const grassEdgeRules = [
+    // Grass grows on top of any block that's open to the sky. Buried blocks are plain dirt.
+    { open: ["N"], layer: "grassTopBlock" },
+    { filled: ["N"], layer: "dirtBlock" },
+    // Exposed sides and undersides get a darker rim, so platform ends and overhangs read clearly.
+    { open: ["W"], layer: "terrainEdgeLeft" },
+    { open: ["E"], layer: "terrainEdgeRight" },
+    { open: ["S"], layer: "terrainEdgeBottom" },
+    // Grass spills over the top corners at the ends of a platform.
+    { open: ["N", "W"], layer: "grassCapLeft" },
+    { open: ["N", "E"], layer: "grassCapRight" },
+];
+
+/** @type {Object.<string, AutotileRuleset>} The rulesets tile definitions can refer to, by name. */
+export const AutotileRulesets = {
+    // 16-tile set: only the 4 edge neighbours are considered.
+    grass16: {
+        name: "grass16",
+        diagonals: false,
+        rules: grassEdgeRules,
+    },
+    // 47-tile "blob" set: also fills in the inner corners where a step meets a wall.
+    grass47: {
+        name: "grass47",
+        diagonals: true,
+        rules: [
+            ...grassEdgeRules,
+            { filled: ["N", "W"], open: ["NW"], layer: "grassInnerLeft" },
+            { filled: ["N", "E"], open: ["NE"], layer: "grassInnerRight" },
+            { filled: ["S", "W"], open: ["SW"], layer: "terrainInnerBottomLeft" },
+            { filled: ["S", "E"], open: ["SE"], layer: "terrainInnerBottomRight" },
+        ],
+    },
+};
+
+/**
+ * Callback testing whether a map cell contains the same terrain as the tile being autotiled.
+ * @callback TerrainTest
+ * @param {Number} x Horizontal coordinate of the neighbour.
+ * @param {Number} y Vertical coordinate of the neighbour.
+ * @returns {boolean} True if this neighbour should join up with the tile.
+ */
+
+/**
+ * Computes which of a tile's neighbours are filled with the same terrain.
+ * Cells beyond the sides and bottom of the map count as filled, so terrain runs cleanly off the edge of the map,
+ * while cells above the top count as open sky.
+ * @param {Number} x Horizontal coordinate of the tile (0 = leftmost column).
+ * @param {Number} y Vertical coordinate of the tile (0 = top row).
+ * @param {Number} columns Width of the map, in tiles.
+ * @param {Number} rows Height of the map, in tiles.
+ * @param {TerrainTest} isSameTerrain Test for whether a neighbour joins up with this tile.
+ * @param {boolean} diagonals Whether to include diagonal neighbours, reduced to the 47 blob cases.
+ * @returns {Number} Bitwise combination of Neighbour flags.
+ */
+export function neighbourMask(x, y, columns, rows, isSameTerrain, diagonals) {
+    let mask = 0;
+    for (const [name, [dx, dy]] of Object.entries(NeighbourOffsets)) {
+        if (!diagonals && DiagonalEdges[name]) continue;
+
+        const nx = x + dx;
+        const ny = y + dy;
+        let filled;
+        if (ny < 0) {
+            filled = false;
+        } else if (nx < 0 || nx >= columns || ny >= rows) {
+            filled = true;
+        } else {
+            filled = isSameTerrain(nx, ny);
+        }
+        if (filled) mask |= Neighbour[name];
+    }
+
+    // Drop diagonals whose neighbouring edges aren't both filled - they can't change the tile's appearance.
+    if (diagonals) {
+        for (const [diagonal, [a, b]] of Object.entries(DiagonalEdges)) {
+            if ((mask & Neighbour[a]) === 0 || (mask & Neighbour[b]) === 0)
+                mask &= ~Neighbour[diagonal];
+        }
+    }
+    return mask;
+}
+
+/**
+ * Applies a ruleset to a neighbour mask.
+ * @param {AutotileRuleset} ruleset Rules to apply.
+ * @param {Number} mask Bitwise combination of Neighbour flags, as returned by neighbourMask().
+ * @returns {Symbol[]} Tile images to draw for this tile, bottom layer first.
+ */
+export function autotileLayers(ruleset, mask) {
+    const layers = [];
+    for (const rule of ruleset.rules) {
+        const filled = (rule.filled ?? []).every(name => (mask & Neighbour[name]) !== 0);
+        const open = (rule.open ?? []).every(name => (mask & Neighbour[name]) === 0);
+        if (filled && open) layers.push(Symbol.for(rule.layer));
+    }
+    return layers;
+}
+
+/**
+ * Lists every distinct variant a ruleset can produce: 16 for an edges-only set, 47 for a blob set.
+ * Useful for building a sprite sheet with one pre-composed frame per variant.
+ * @param {AutotileRuleset} ruleset Rules to enumerate.
+ * @returns {Map<Number, Symbol[]>} Layers to draw, keyed by neighbour mask.
+ */
+export function listAutotileVariants(ruleset) {
+    const variants = new Map();
+    for (let bits = 0; bits < 256; bits++) {
+        // Build a 3x3 neighbourhood from these bits, and see which reduced mask it gives.
+        const mask = neighbourMask(1, 1, 3, 3, (x, y) => {
+            const name = Object.keys(NeighbourOffsets).find(n => {
+                const [dx, dy] = NeighbourOffsets[n];
+                return x === 1 + dx && y === 1 + dy;
+            });
+            return (bits & Neighbour[name]) !== 0;
+        }, ruleset.diagonals);
+        if (!variants.has(mask)) variants.set(mask, autotileLayers(ruleset, mask));
+    }
+    return variants;
+}
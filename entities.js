@@ -0,0 +1,177 @@
+// Moving things in a level, like enemies. The skinner places them as ordinary tiles,
+// and play mode lifts them out of the map into entities with behaviour of their own when a run starts.
+
+import { Tile, tileRegistry } from "./tilemap.js";
+import { PLAYER_RESERVATION } from "./pather.js";
+
+/**
+ * An axis-aligned box, in tile units, with x and y at its top-left corner.
+ * @typedef {Object} Box
+ * @property {Number} x
+ * @property {Number} y
+ * @property {Number} width
+ * @property {Number} height
+ */
+
+// Base class for anything in a level that moves or reacts on its own.
+export class Entity {
+    /** @type {Symbol} Tile whose image is drawn for this entity, and that it was spawned from.*/
+    tile;
+
+    /** @type {Number} Horizontal position of the entity's tile cell, in tile units.*/
+    x;
+    /** @type {Number} Vertical position of the entity's tile cell, in tile units.*/
+    y;
+
+    /** @type {Number} Which way the entity is pointed (-1 = left, 1 = right), for mirroring its image.*/
+    facing = 1;
+
+    /** @type {boolean} False once the entity has been defeated or collected, and should be ignored.*/
+    alive = true;
+
+    /** @type {Box} Part of the entity's tile cell that can be touched, relative to its top-left corner.*/
+    hitbox = { x: 0, y: 0, width: 1, height: 1 };
+
+    /**
+     * Create an entity in a given cell of the map.
+     * @param {Symbol} tile Tile this entity was spawned from.
+     * @param {Number} x Column of the map it starts in.
+     * @param {Number} y Row of the map it starts in.
+     */
+    constructor(tile, x, y) {
+        this.tile = tile;
+        this.x = x;
+        this.y = y;
+    }
+
+    /**
+     * Advance this entity's behaviour by one frame. Entities that don't move can leave this as-is.
+     * @param {MapChunk} map Level the entity is in.
+     * @param {Number} dt Duration of the frame, in seconds.
+     */
+    update(map, dt) {
+    }
+
+    /**
+     * @returns {Box} The entity's touchable area, in map tile units.
+     */
+    bounds() {
+        return {
+            x: this.x + this.hitbox.x,
+            y: this.y + this.hitbox.y,
+            width: this.hitbox.width,
+            height: this.hitbox.height,
+        };
+    }
+
+    /**
+     * Checks whether a box touches this entity.
+     * @param {Box} box Box to test, in map tile units.
+     * @returns {boolean} True if they overlap.
+     */
+    overlaps(box) {
+        const mine = this.bounds();
+        return box.x < mine.x + mine.width && mine.x < box.x + box.width
+            && box.y < mine.y + mine.height && mine.y < box.y + box.height;
+    }
+}
+
+// An enemy that walks back and forth along its platform, and can be stomped from above.
+export class PatrolEnemy extends Entity {
+    /** @type {Number} Walking speed, in tiles per second.*/
+    speed = 1.5;
+
+    /** @type {Number} Leftmost column the enemy may walk into.*/
+    minX;
+    /** @type {Number} Rightmost column the enemy may walk into.*/
+    maxX;
+
+    // Slimes are squat, so they're only touchable in the bottom half of their tile, and a little in from the sides.
+    hitbox = { x: 0.1, y: 0.45, width: 0.8, height: 0.55 };
+
+    /**
+     * Create an enemy, working out how far it can patrol from its starting cell.
+     * @param {Symbol} tile Tile this enemy was spawned from.
+     * @param {Number} x Column of the map it starts in.
+     * @param {Number} y Row of the map it starts in.
+     * @param {MapChunk} map Level the enemy is in, with the pather's reservations still present.
+     * @param {Set<string>} [blocked] Cells ("x,y") the enemy shouldn't walk into, like other enemies' starting spots.
+     */
+    constructor(tile, x, y, map, blocked = new Set()) {
+        super(tile, x, y);
+
+        // Walk out each way from the start for as long as the enemy stays stompable.
+        this.minX = x;
+        while (PatrolEnemy.canPatrol(map, this.minX - 1, y) && !blocked.has(`${this.minX - 1},${y}`)) this.minX--;
+        this.maxX = x;
+        while (PatrolEnemy.canPatrol(map, this.maxX + 1, y) && !blocked.has(`${this.maxX + 1},${y}`)) this.maxX++;
+    }
+
+    /**
+     * Checks whether an enemy may walk into a cell. It needs ground under it, open space to walk in,
+     * and - just like where the skinner placed it - space above that the player's path passed through,
+     * so the player can always reach it to stomp it, wherever it has wandered.
+     * @param {MapChunk} map Level to check, with the pather's reservations still present.
+     * @param {Number} x Column to check.
+     * @param {Number} y Row to check.
+     * @returns {boolean} True if the enemy may patrol into this cell.
+     */
+    static canPatrol(map, x, y) {
+        const { columns } = map.getDimensions();
+        if (x < 0 || x >= columns) return false;
+        if (map.isSolid(x, y) || !tileRegistry.get(map.getTileAt(x, y + 1)).standable) return false;
+
+        // Enemies only walk on the flat - slopes would leave them floating or sunk into the ground.
+        if (tileRegistry.get(map.getTileAt(x, y)).slope) return false;
+
+        // Coins can be placed along the path after it's reserved, so they count as part of it too.
+        const above = map.getTileAt(x, y - 1);
+        return above === PLAYER_RESERVATION || tileRegistry.get(above).collectible;
+    }
+
+    update(map, dt) {
+        this.x += this.facing * this.speed * dt;
+
+        // Turn around at the ends of the patrol.
+        if (this.x < this.minX) {
+            this.x = this.minX;
+            this.facing = 1;
+        } else if (this.x > this.maxX) {
+            this.x = this.maxX;
+            this.facing = -1;
+        }
+    }
+}
+
+/** @type {Object.<string, typeof Entity>} Entity classes, by the name used in TileDefinition.entity.*/
+export const EntityTypes = {
+    patrol: PatrolEnemy,
+};
+
+/**
+ * Lifts every entity tile out of a map, replacing it with empty space, and creates the matching entities.
+ * @param {MapChunk} map Level to spawn from. Modified in place, so pass a copy to keep the original.
+ * @returns {Entity[]} The spawned entities, in the order they appear from left to right.
+ */
+export function spawnEntities(map) {
+    const { columns, rows } = map.getDimensions();
+
+    // Find all the entity tiles first, so enemies know not to patrol through each other's starting spots.
+    const found = [];
+    for (let x = 0; x < columns; x++) {
+        for (let y = 0; y < rows; y++) {
+            const tile = map.getTileAt(x, y);
+            const type = tileRegistry.get(tile).entity;
+            if (type) {
+                if (!EntityTypes[type])
+                    throw new Error(`Tile ${String(tile)} has unknown entity type "${type}".`);
+                found.push({ tile, x, y, type });
+            }
+        }
+    }
+    const blocked = new Set(found.map(({ x, y }) => `${x},${y}`));
+
+    for (const { x, y } of found) map.place(Tile.NONE, x, y);
+
+    return found.map(({ tile, x, y, type }) => new EntityTypes[type](tile, x, y, map, blocked));
+}
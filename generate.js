@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+// Command-line batch level generator: plans and skins a batch of levels headless,
+// writing each one to disk along with a summary of how the generation went.
+//
+// Usage: node generate.js [options]
+//   --width <n>       Width of each level, in tiles. (default 50)
+//   --height <n>      Height of each level, in tiles. (default 20)
+//   --seed <n>        Seed for the whole batch. Each level gets its own sub-seeds. (default: random)
+//   --count <n>       Number of levels to generate. (default 1)
+//   --attempts <n>    Maximum path planning attempts per level. (default 50)
+//   --params <file>   JSON file with "controller", "pather" and "skinner" objects of tuning parameters.
+//   --format <fmt>    "ascii" for finished levels as text grids, or "json" for MapChunk JSON,
+//                     which keeps the pather's book-keeping reservations too. (default ascii)
+//   --theme <names>   Biome theme from themes.js, like "cave". Give several, comma-separated,
+//                     to split each level into equal stretches, one per theme. (default: unthemed)
+//   --out <dir>       Folder to write the levels and summary.json into. (default ./levels)
+
+import { parseArgs } from "node:util";
+import { mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+
+import { Tile, MapChunk } from "./tilemap.js";
+import { CharacterController } from "./platformer.js";
+import { Random } from "./random.js";
+import { Pather, SOLID_RESERVATION, PLAYER_RESERVATION, WALL_RESERVATION, ONE_WAY_RESERVATION,
+    LADDER_RESERVATION } from "./pather.js";
+import { MapSkinner } from "./skinner.js";
+import { Themes } from "./themes.js";
+
+// What each of the pather's book-keeping reservations stands for in a finished level. Most get dressed by the
+// skinner, but the marks along the player's path stay behind, and so can the odd reservation rolled back into place.
+const FINISHED_RESERVATIONS = new Map([
+    [PLAYER_RESERVATION, Tile.NONE],
+    [SOLID_RESERVATION, Tile.SOLID],
+    [WALL_RESERVATION, Tile.SOLID],
+    [ONE_WAY_RESERVATION, Tile.ONE_WAY_PLATFORM],
+    [LADDER_RESERVATION, Tile.LADDER],
+]);
+
+/**
+ * Swaps any reservations left in a skinned level for the finished tiles they stand for,
+ * so the saved text shows just the level, with nothing of how it was generated.
+ * @param {MapChunk} map Skinned level to finish off.
+ */
+function finishReservations(map) {
+    const { columns, rows } = map.getDimensions();
+    map.fill((x, y) => FINISHED_RESERVATIONS.get(map.getTileAt(x, y)) ?? map.getTileAt(x, y), 0, 0, columns - 1, rows - 1);
+}
+
+/**
+ * Copies tuning parameters from a JSON object onto one of our generator objects,
+ * refusing any parameter the object doesn't have, so typos don't silently do nothing.
+ * @param {Object} target Generator object to configure.
+ * @param {Object} [params] Parameter values, keyed by property name.
+ * @param {string} label Name of this section of the parameters file, for error messages.
+ */
+function applyParameters(target, params, label) {
+    for (const [name, value] of Object.entries(params ?? {})) {
+        if (!(name in target) || typeof target[name] === "function")
+            throw new Error(`Unknown ${label} parameter "${name}".`);
+        target[name] = value;
+    }
+}
+
+/**
+ * Read a whole-number command line option.
+ * @param {string} text Text given on the command line.
+ * @param {string} name Option name, for error messages.
+ * @param {Number} min Smallest acceptable value.
+ * @returns {Number} The parsed value.
+ */
+function parseInteger(text, name, min) {
+    const value = Number(text);
+    if (!Number.isInteger(value) || value < min)
+        throw new Error(`--${name} must be a whole number of at least ${min}, not "${text}".`);
+    return value;
+}
+
+function main() {
+    const { values } = parseArgs({
+        options: {
+            width: { type: "string", default: "50" },
+            height: { type: "string", default: "20" },
+            seed: { type: "string" },
+            count: { type: "string", default: "1" },
+            attempts: { type: "string", default: "50" },
+            params: { type: "string" },
+            format: { type: "string", default: "ascii" },
+            theme: { type: "string" },
+            out: { type: "string", default: "levels" },
+        },
+    });
+
+    const width = parseInteger(values.width, "width", 3);
+    const height = parseInteger(values.height, "height", 3);
+    const count = parseInteger(values.count, "count", 1);
+    const attemptLimit = parseInteger(values.attempts, "attempts", 1);
+    const seed = values.seed === undefined ? Random.randomSeed() : parseInteger(values.seed, "seed", 0);
+    if (values.format !== "ascii" && values.format !== "json")
+        throw new Error(`--format must be "ascii" or "json", not "${values.format}".`);
+
+    // Set up the generator the same way the demos do, then apply any tuning from the parameters file.
+    const controller = new CharacterController();
+    const pather = new Pather(controller);
+    const skinner = new MapSkinner();
+    controller.postUpdate = pather.update.bind(pather);
+
+    const params = values.params ? JSON.parse(readFileSync(values.params, "utf8")) : {};
+    applyParameters(controller, params.controller, "controller");
+    applyParameters(pather, params.pather, "pather");
+    applyParameters(skinner, params.skinner, "skinner");
+    controller.update();
+
+    if (values.theme) {
+        const themes = values.theme.split(",").map(name => {
+            if (!Object.hasOwn(Themes, name))
+                throw new Error(`Unknown theme "${name}". Choose from: ${Object.keys(Themes).join(", ")}.`);
+            return Themes[name];
+        });
+        skinner.theme = themes.length === 1 ? themes[0]
+            : themes.map((theme, i) => ({ fromColumn: Math.floor(i * width / themes.length), theme }));
+    }
+
+    mkdirSync(values.out, { recursive: true });
+
+    // Each level draws its own path and skin seeds from the batch seed,
+    // so any one level can be regenerated without re-running the whole batch.
+    const batchRandom = new Random(seed);
+    const levels = [];
+    let failures = 0;
+    let totalAttempts = 0;
+    const outcomes = {};
+    const digits = String(count - 1).length;
+
+    for (let i = 0; i < count; i++) {
+        const pathSeed = batchRandom.nextSeed();
+        const skinSeed = batchRandom.nextSeed();
+
+        const map = new MapChunk(width, height);
+        const success = pather.planPath(map, attemptLimit, new Random(pathSeed));
+        totalAttempts += pather.attemptsUsed;
+
+        // Tally how each attempt went, for tuning. (See AttemptOutcome in pather.js)
+        const levelOutcomes = Pather.countOutcomes(pather.attempts);
+        for (const [outcome, n] of Object.entries(levelOutcomes)) outcomes[outcome] = (outcomes[outcome] ?? 0) + n;
+
+        const record = {
+            index: i, pathSeed, skinSeed, success,
+            attempts: pather.attemptsUsed,
+            outcomes: levelOutcomes,
+            successfulSeed: pather.successfulSeed,
+            rolledBack: null,
+            traversalProblems: null,
+            planProblems: null,
+            file: null,
+        };
+        levels.push(record);
+
+        if (!success) {
+            failures++;
+            const tally = Object.entries(levelOutcomes).map(([outcome, n]) => `${n} ${outcome}`).join(", ");
+            console.error(`level ${i}: failed to find path in ${attemptLimit} attempts (path seed ${pathSeed}; ${tally}).`);
+            continue;
+        }
+
+        skinner.skinMap(map, pather.successfulPath, controller, new Random(skinSeed));
+        map.prepStartEnd();
+
+        // Note how much the skinner had to take back to keep the path clear, and any frames that still go astray -
+        // the ones the skinning caused apart from the ones the plan already had.
+        record.rolledBack = skinner.rolledBack.length;
+        record.traversalProblems = skinner.traversalProblems.length;
+        record.planProblems = skinner.planProblems.length;
+
+        // The planned path should play out frame for frame on the finished level. If the physics wouldn't follow it,
+        // we can't vouch for the level, so count it as a failure rather than write it out.
+        if (skinner.planProblems.length > 0 || skinner.traversalProblems.length > 0) {
+            failures++;
+            record.success = false;
+            console.error(`level ${i}: planned path doesn't replay on ${skinner.planProblems.length} frame(s) of the plan `
+                + `and ${skinner.traversalProblems.length} of the skinned level (path seed ${pathSeed}, skin seed ${skinSeed}).`);
+            continue;
+        }
+
+        const name = `level-${String(i).padStart(digits, "0")}`;
+        if (values.format === "ascii") {
+            record.file = `${name}.txt`;
+            finishReservations(map);
+            writeFileSync(join(values.out, record.file), map.toText() + "\n");
+        } else {
+            record.file = `${name}.json`;
+            writeFileSync(join(values.out, record.file), JSON.stringify({ pathSeed, skinSeed, ...map.toJSON() }, null, 2) + "\n");
+        }
+    }
+
+    const summary = {
+        seed, width, height, count, attemptLimit,
+        format: values.format,
+        theme: values.theme ?? null,
+        parameters: params,
+        succeeded: count - failures,
+        failed: failures,
+        averageAttempts: totalAttempts / count,
+        outcomes,
+        levels,
+    };
+    writeFileSync(join(values.out, "summary.json"), JSON.stringify(summary, null, 2) + "\n");
+    console.log(`generated ${count - failures} of ${count} levels in ${values.out} (seed ${seed}).`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+}
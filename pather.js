@@ -1,6 +1,59 @@
-// Vocabulary used for book-keeping reservations in the map.
-const SOLID_RESERVATION = '▀';
-const PLAYER_RESERVATION = '×';
+import { Tile, tileRegistry } from "./tilemap.js";
+import { CharacterState } from "./platformer.js";
+import { Random } from "./random.js";
+
+// Vocabulary used for book-keeping reservations in the map. Each one doubles as its character in saved maps.
+export const SOLID_RESERVATION = '%';
+export const PLAYER_RESERVATION = '*';
+export const WALL_RESERVATION = '|';
+export const ONE_WAY_RESERVATION = '-';
+export const LADDER_RESERVATION = '+';
+
+// Solid reservations need to block the character just like finished terrain, so paths respect them while planning.
+// Wall reservations are solid too, but mark walls raised for a wall jump rather than floors to stand on.
+// One-way reservations mark floors that the path jumped up through earlier, so they only catch a fall from above.
+// Ladder reservations mark climbs, and can be climbed just like the finished ladders.
+tileRegistry
+    .define(SOLID_RESERVATION, { solid: true, standable: true, character: SOLID_RESERVATION })
+    .define(WALL_RESERVATION, { solid: true, character: WALL_RESERVATION })
+    .define(ONE_WAY_RESERVATION, { oneWay: true, standable: true, character: ONE_WAY_RESERVATION })
+    .define(LADDER_RESERVATION, { climbable: true, character: LADDER_RESERVATION })
+    .define(PLAYER_RESERVATION, { character: PLAYER_RESERVATION });
+
+/**
+ * Which of a map's designer constraints (see MapChunk.constraints) a path planner couldn't satisfy.
+ * @typedef {Object} ConstraintFailure
+ * @property {"waypoint"|"keepOut"|"goal"} constraint Kind of constraint that failed. "goal" means every waypoint
+ * was reached, but not the right edge of the map afterward.
+ * @property {Number} index Which waypoint or keep-out region it was, counting from 0 in the order they were added.
+ * (-1 for the goal)
+ * @property {Number} waypointsReached How many waypoints the best attempt got through, in order.
+ * @property {string} message Human-readable description of the failure, for logging. (Numbering waypoints and regions from 1)
+ */
+
+/**
+ * How one attempt at planning a path went, so failures can be told apart when tuning the planner.
+ * @typedef {Object} AttemptRecord
+ * @property {Number} seed Sub-seed of the attempt, so it can be replayed on its own with attemptPath.
+ * @property {AttemptOutcome} outcome How the attempt ended.
+ * @property {Number} frames How many frames the attempt simulated.
+ * @property {Number} furthestColumn Rightmost column the character reached.
+ * @property {{x: Number, y: Number}} end Tile the character ended up in.
+ * @property {CharacterState[]} path Frame-by-frame history of the attempt. (For the search planner, of its furthest partial path)
+ */
+
+/**
+ * How an attempt at planning a path ended. (When the search planner runs dry, it goes by whatever threw out most of its moves)
+ * - "success": It made it all the way across.
+ * - "timeout": It used up the 100-second budget without making it, and without anything else obviously to blame.
+ * - "ceiling": It got stuck up against the jump ceiling, where it isn't allowed to jump any higher.
+ * - "forcedFloor": It fell to the bottom of the map, where it had to force a floor to land on, and never got back out.
+ * - "fellOut": It left the map - usually by backtracking off the left edge, where there's no floor to be had -
+ *   and fell out of the bottom.
+ * - "keepOut": It ran into one of the map's keep-out regions. (See MapChunk.constraints)
+ * - "stuck": The search planner's moves kept getting stuck - running into walls, or off an edge into the path's own space.
+ * @typedef {"success"|"timeout"|"ceiling"|"forcedFloor"|"fellOut"|"keepOut"|"stuck"} AttemptOutcome
+ */
 
 /**
  * @callback DiscreteProbabilityDistribution
@@ -15,7 +68,7 @@ const PLAYER_RESERVATION = '×';
  * @param {Number} max Greatest number of attempts / longest distance before a "success" event occurs.
  * @returns {DiscreteProbabilityDistribution} Function to get the probability of success on the nth attempt.
  */
-function discreteTriangleDistribution(min, max) {    
+export function discreteTriangleDistribution(min, max) {    
     // Compute the width and radius of the domain/support for this function.
     const span = max - min + 1;
     const halfSpan = span/2;    
@@ -63,7 +116,12 @@ function discreteTriangleDistribution(min, max) {
 }
 
 // Class responsible for Markov chain generation of a player path from the given controller.
-class Pather {
+// Everything it builds around the path is placed so the path still plays out the same on the finished map:
+// step the same controller through each frame's recorded input (See MapSkinner.checkTraversal) and you land exactly
+// where the plan did. That means never building anything later that the character's box, or its physics,
+// already touched on an earlier frame - so floors only go in the row our feet just dropped into, and every cell we
+// pass through stays reserved.
+export class Pather {
     /** @type {CharacterController} Character physics to use.*/
     controller;
 
@@ -89,12 +147,66 @@ class Pather {
     /** @type {Number} Tuning parameter controlling how far landings should deviate from the launch height.*/
     heightVariance = 1.0;
 
+    /**
+     * @type {Number} Tuning parameter controlling how often a jump is a short hop, letting go of jump partway up.
+     * 0 = every jump is full height. 1 = the jump button is always released early, somewhere before the apex.
+    */
+    shortHopProbability = 0.3;
+
+    /** @type {Number} Chance, each 1/30th of a second on the way down, of using a double jump (if the controller allows it).*/
+    doubleJumpProbability = 0.05;
+
+    /**
+     * @type {Number} Chance, each 1/30th of a second in the air, of raising a wall to wall jump off (if the controller allows it).
+     * Walls are only raised while the path is heading left, so wall jumps always send it back toward the goal.
+    */
+    wallJumpProbability = 0.03;
+
+    /** @type {Number} Chance, each 1/30th of a second in the air, of using an air dash (if the controller allows it).*/
+    dashProbability = 0.03;
+
+    /** @type {Number} Chance, each 1/30th of a second walking along the ground, of the ground ahead sloping up or down a tile.*/
+    slopeProbability = 0.03;
+
+    /** @type {Number} Fraction of slopes that are gentle (rising one tile over two) rather than steep (one tile over one).*/
+    gentleSlopeProbability = 0.5;
+
+    /**
+     * @type {Number} Chance, when we want to land in space the path has already passed through, of putting a one-way
+     * platform there to land on, instead of falling on through. (Only space we never fell through is eligible)
+    */
+    oneWayProbability = 0.5;
+
+    /**
+     * @type {Number} Chance, each 1/30th of a second walking along the ground, of putting up a ladder to climb,
+     * taller than we could jump. Climbs let paths reach heights that jumping alone would take many platforms to get to.
+    */
+    climbProbability = 0.01;
+
     /** @type {CharacterState[]} Complete history of the last path that made it from start to end.*/
     successfulPath = null;
 
+    /** @type {Number} Sub-seed of the attempt that produced successfulPath, so that attempt can be reproduced on its own.*/
+    successfulSeed = null;
+
+    /** @type {Number} How many attempts the last call to planPath used, whether it succeeded or not.*/
+    attemptsUsed = 0;
+
     /** @type {CharacterState[]} Complete history of the last path we tried, even if it failed to reach the end.*/
     lastAttempt = null;
 
+    /**
+     * @type {ConstraintFailure|null} If the last call to planPath failed, which designer constraint stopped it,
+     * as seen in the attempt that got through the most waypoints. (attemptPath leaves the reason for each attempt here too)
+    */
+    failure = null;
+
+    /** @type {AttemptRecord[]} Every attempt the last call to planPath made, in order, successful or not.*/
+    attempts = [];
+
+    /** @type {AttemptOutcome} How the last call to attemptPath ended, if it failed.*/
+    lastOutcome = null;
+
     /**
      * Construct a new path generator based on the given character physics.
      * @param {CharacterController} controller Character physics to use for this path planner.
@@ -107,6 +219,8 @@ class Pather {
      * Call this when any tuning parameters change, to update dependent parameters.
      */
     update() {
+        const dt = this.controller.dt;
+
         // Compute the fewest and most frames we should spend on a platform,
         // and set up a probability distribution we can use to decide when to jump.
         let min = Math.round(this.minSecondsOnPlatform/dt);
@@ -126,34 +240,97 @@ class Pather {
         this.landDistribution = discreteTriangleDistribution(min, max);
     }
 
+    /**
+     * Works out how much sooner a short hop lands than a full jump.
+     * @param {CharacterState} state Airborne state, carrying the jumpHoldFrames planned at takeoff.
+     * @returns {Number} Number of frames less that this jump spends in the air. Zero for full jumps and falls.
+     */
+    shortHopHeadStart(state) {
+        // A jump that started with a fall off a ledge gets no head start - it's not a hop at all.
+        if (state.framesSinceJump > state.framesSinceGround) return 0;
+        if (!(state.jumpHoldFrames > 0) || !Number.isFinite(state.jumpHoldFrames)) return 0;
+
+        const dt = this.controller.dt;
+        const saved = this.controller.jumpDuration() - this.controller.jumpDuration(state.jumpHoldFrames * dt);
+        return Math.max(0, Math.round(saved/dt));
+    }
+
+    /**
+     * Decide how long to hold the jump button for a jump we're about to make:
+     * all the way up, or let go somewhere on the way for a short hop.
+     * @param {CharacterState} state State we're jumping from. Its jumpHoldFrames is set to the plan.
+     * @param {Random} random Source of random numbers for this attempt.
+     */
+    planJumpHold(state, random) {
+        const framesToPeak = Math.max(1, Math.round(this.controller.timeToPeak/this.controller.dt));
+        state.jumpHoldFrames = random.chance(this.shortHopProbability)
+                             ? random.integer(1, framesToPeak) : Number.POSITIVE_INFINITY;
+    }
+
     /**
      * Markov chain: generate a new simulated player input based on the current state of the character.
      * @param {CharacterState} state Most recent character physics state.
      * @param {Number} jumpLimit Ceiling row above which we mustn't jump, to avoid exiting out the top of the map.
+     * @param {Random} random Source of random numbers for this attempt.
+     * @param {{x: Number, y: Number}|null} [waypoint] Next cell we need to visit, if any, to head toward.
      * @returns {InputState} Simulated gamepad input for our virtual player.
      */
-    selectInputForState(state, jumpLimit) {
+    selectInputForState(state, jumpLimit, random, waypoint = null) {
         /** @type {InputState} */
         const input = {x:0, jump:false};
 
+        // If we've put up a ladder, climb it all the way to the top.
+        if (state.climbing) state.wantsToClimb = false;
+        if (state.climbing || state.wantsToClimb) {
+            input.y = -1;
+            return input;
+        }
+
         // If our virtual player is pressing the stick at all...
-        if (Math.random() < this.moveProbability) {            
+        if (random.chance(this.moveProbability)) {            
             // If we weren't heading in a particular direction (just landed/jumped),
             // pick a direction to go according to our backtrack chance.
+            // "Forward" is to the right, unless we have a waypoint to get to first.
             if (state.facing == 0) {
-                state.facing = (Math.random() < this.backtrackProbability) ? -1 : 1;
+                const forward = waypoint ? Math.sign(waypoint.x + 0.5 - (state.x + this.controller.width / 2)) || 1 : 1;
+                state.facing = random.chance(this.backtrackProbability) ? -forward : forward;
             }
             // Keep moving in the direction we're facing.
             input.x = state.facing;
         }
 
-        // If we're below the jump ceiling (row numbers increase toward the bottom of the map), then we can jump.
-        if (state.y >= jumpLimit) {        
-            if (state.isOnGround(controller.coyoteFrames)) {
+        if (state.isOnGround(this.controller.coyoteFrames)) {
+            // We're not in the middle of a jump, so there's no jump button to hold.
+            state.jumpHoldFrames = 0;
+
+            // If we're below the jump ceiling (row numbers increase toward the bottom of the map), then we can jump.
+            if (state.y >= jumpLimit) {
                 // If we're still mid-platform, check if it's time to jump.
                 const pJump = this.jumpDistribution(state.framesOnGround);            
-                input.jump = Math.random() < pJump;
+                input.jump = random.chance(pJump);
+
+                if (input.jump) this.planJumpHold(state, random);
             }
+        } else if (this.controller.canWallJump && state.wallContact !== 0 && state.y >= jumpLimit) {
+            // We only ever meet walls we raised to jump off, so keep pushing into it and kick off as soon as we can.
+            // (Kicking off needs a fresh press, so if we're still holding jump from before, let go for a frame first)
+            input.x = state.wallContact;
+            input.jump = !state.jumpWasPressed;
+            if (input.jump) this.planJumpHold(state, random);
+        } else if (state.jumpHeld) {
+            // Keep holding jump on the way up until we've held it as long as we planned to.
+            input.jump = state.framesSinceJump < state.jumpHoldFrames;
+        } else if (this.controller.canDoubleJump && state.airJumps < 1 && state.isFalling()
+                   && !state.jumpWasPressed && state.y >= jumpLimit) {
+            // On the way down, we might spend our double jump to launch a fresh arc.
+            input.jump = random.chance(this.controller.stepChance(this.doubleJumpProbability));
+            if (input.jump) this.planJumpHold(state, random);
+        }
+
+        // Dashing doesn't gain height, so it's fine even above the jump ceiling.
+        if (this.controller.canDash && !state.dashUsed && state.dashFrames === 0 && !state.isOnGround(this.controller.coyoteFrames)
+            && !state.dashWasPressed && !input.jump) {
+            input.dash = random.chance(this.controller.stepChance(this.dashProbability));
         }
 
         return input;
@@ -163,46 +340,258 @@ class Pather {
      * Repeatedly attempts to plan a path, annotating the given map with the tile reservation bookmarking along the way.
      * @param {MapChunk} map Map to use for dimensions and bookkeeping information. Will be cleared as part of the process.
      * @param {Number} [attemptLimit=50] Maximum number of attempts before giving up.
+     * @param {Random} [random] Source of sub-seeds for each attempt. Uses a freshly-seeded generator if absent.
+     * (It comes last, so older calls that only pass an attempt limit keep working)
      * @returns {boolean} True if successful, false if no path was found in the maximum attempt limit.
      */
-    planPath(map, attemptLimit = 50) {
+    planPath(map, attemptLimit = 50, random = new Random()) {
+        // Keep track of the failed attempt that got furthest through the designer's waypoints, to explain a failure.
+        let bestFailure = null;
+        this.attempts = [];
 
         // Iterate up to our attempt limit.
         for (let attempts = 0; attempts < attemptLimit; attempts++) {
-            // Reset map and try a fresh attempt.
+            // Reset map (keeping any pre-built pieces) and try a fresh attempt,
+            // with its own sub-seed so it can be replayed in isolation.
             map.clear();
-            const path = this.attemptPath(map);            
+            map.stampPrebuilt();
+            const seed = random.nextSeed();
+            this.failure = null;
+            const path = this.attemptPath(map, new Random(seed));            
+            this.attempts.push(this.#recordAttempt(seed, path ? "success" : this.lastOutcome, path ?? this.lastAttempt));
 
             if (path) { 
-                // If the attempt was successful, log our success, record the path, and return.
-                console.log(`found successful path in ${attempts+1} attempt${attempts > 0 ? 's' : ''}.`);
+                // If the attempt was successful, record the path, its seed, and how long it took us, and return.
                 this.successfulPath = path;
+                this.successfulSeed = seed;
+                this.attemptsUsed = attempts + 1;
+                this.failure = null;
                 return true;
             }
+
+            // (Between attempts that got equally far, running into a keep-out region says more than just running out of time)
+            const failure = this.failure;
+            if (failure && (!bestFailure || failure.waypointsReached > bestFailure.waypointsReached
+                || (failure.waypointsReached === bestFailure.waypointsReached && failure.constraint === "keepOut" && bestFailure.constraint !== "keepOut")))
+                bestFailure = failure;
         }
 
         // Report failure if we did not find a path in all our attempts.        
         this.successfulPath = null;
-        console.log("failed to find path.");
+        this.successfulSeed = null;
+        this.attemptsUsed = attemptLimit;
+        this.failure = bestFailure;
         return false;
     }
 
+    /**
+     * Sums up one attempt, for the attempts history.
+     * @param {Number} seed Sub-seed the attempt was made with.
+     * @param {AttemptOutcome} outcome How the attempt ended.
+     * @param {CharacterState[]} path Frame-by-frame history of the attempt.
+     * @returns {AttemptRecord} The record of the attempt.
+     */
+    #recordAttempt(seed, outcome, path) {
+        const last = path[path.length - 1];
+        return {
+            seed, outcome,
+            frames: path.length - 1,
+            furthestColumn: Math.floor(Math.max(...path.map(state => state.x))),
+            end: { x: Math.floor(last.x), y: Math.floor(last.y) },
+            path,
+        };
+    }
+
+    /**
+     * Counts up how many attempts ended each way, for a summary of a planPath call.
+     * @param {AttemptRecord[]} attempts Attempts to count. (See the attempts field)
+     * @returns {Object<string, Number>} Number of attempts with each outcome. Outcomes no attempt had are left out.
+     */
+    static countOutcomes(attempts) {
+        const counts = {};
+        for (const { outcome } of attempts) counts[outcome] = (counts[outcome] ?? 0) + 1;
+        return counts;
+    }
+
+    /**
+     * Describes which of the map's designer constraints an attempt fell foul of.
+     * @param {MapChunk} map Map whose constraints the attempt was following.
+     * @param {Number} waypointsReached How many of the waypoints the attempt got through, in order.
+     * @param {Number} [keepOut=-1] Index of the keep-out region that stopped the attempt, if that's what happened.
+     * @returns {ConstraintFailure} The failure, ready to record in the failure field.
+     */
+    describeFailure(map, waypointsReached, keepOut = -1) {
+        const { waypoints, keepOut: regions } = map.constraints;
+        if (keepOut >= 0) {
+            const { x, y, width, height } = regions[keepOut];
+            const progress = waypoints.length ? `, after ${waypointsReached} of ${waypoints.length} waypoints` : "";
+            return { constraint: "keepOut", index: keepOut, waypointsReached,
+                message: `path couldn't get past keep-out region ${keepOut + 1} (${width}x${height} at ${x}, ${y})${progress}` };
+        }
+        if (waypointsReached < waypoints.length) {
+            const { x, y } = waypoints[waypointsReached];
+            return { constraint: "waypoint", index: waypointsReached, waypointsReached,
+                message: `couldn't reach waypoint ${waypointsReached + 1} (at ${x}, ${y})` };
+        }
+        return { constraint: "goal", index: -1, waypointsReached,
+            message: waypoints.length ? `reached all ${waypoints.length} waypoints, but not the right edge of the map after them`
+                                      : "couldn't reach the right edge of the map" };
+    }
+
+    /**
+     * Reserve a short wall just ahead of the character, for them to slide down and jump off.
+     * The wall is left out if any of it would land on space the path has already passed through, or that the designer locked.
+     * (See MapChunk.isLocked) Walls work on either side, but attemptPath only raises them while heading left
+     * (see wallJumpProbability), and the controller kicks off them just the same either way.
+     * @param {MapChunk} map Map to reserve the wall in.
+     * @param {CharacterState} state Airborne character state, heading toward where the wall will go.
+     * @param {Number} direction Side of the character to put the wall on (-1 = left, 1 = right).
+     * @param {Number} left Leftmost column the character occupies.
+     * @param {Number} right Rightmost column the character occupies.
+     * @param {Number} top Top row the character occupies.
+     * @param {Number} bottom Bottom row the character occupies.
+     * @returns {boolean} True if the wall was placed.
+     */
+    raiseWall(map, state, direction, left, right, top, bottom) {
+        const { columns, rows } = map.getDimensions();
+
+        // Keep the first and last columns clear, for the start and goal platforms.
+        const x = direction > 0 ? right + 1 : left - 1;
+        if (x < 1 || x > columns - 2) return false;
+
+        // Cover the rows we'll slide down, with a tile of overlap above and below.
+        const wallTop = Math.max(0, top - 1);
+        const wallBottom = Math.min(rows - 1, bottom + 1);
+        for (let y = wallTop; y <= wallBottom; y++) {
+            if (map.getTileAt(x, y) !== Tile.NONE || map.isLocked(x, y)) return false;
+        }
+
+        map.fill(WALL_RESERVATION, x, wallTop, x, wallBottom);
+        return true;
+    }
+
+    /**
+     * Reserve a slope just ahead of the character, taking the ground they're walking on up or down a tile.
+     * We build plain slopes, and the skinner dresses them to match the level's theme (see MapSkinner.dressSlopes).
+     * The slope is left out if any of it would land on space that's already reserved or locked, or leave the playable rows.
+     * @param {MapChunk} map Map to reserve the slope in.
+     * @param {CharacterState} state Character state standing on flat ground, walking toward where the slope will go.
+     * @param {Number} left Leftmost column the character occupies.
+     * @param {Number} right Rightmost column the character occupies.
+     * @param {Number} jumpLimit Ceiling row we mustn't climb above, so we can still jump without leaving the map.
+     * @param {Number} fallLimit Lowest row the character may stand in.
+     * @param {Random} random Source of random numbers for this attempt.
+     * @returns {boolean} True if the slope was placed.
+     */
+    raiseSlope(map, state, left, right, jumpLimit, fallLimit, random) {
+        const { columns } = map.getDimensions();
+        const direction = Math.sign(state.velX);
+
+        // Only start a slope from flat ground, where our feet are level with the top of a row.
+        const ground = Math.round(state.y + this.controller.height);
+        if (direction === 0 || Math.abs(state.y + this.controller.height - ground) > 0.001) return false;
+
+        // The slope goes in the first column ahead of the ground we're standing on.
+        let x = direction > 0 ? right : left;
+        if (map.isSolid(x, ground)) x += direction;
+        if (!map.isSolid(x - direction, ground)) return false;
+
+        // Decide which way it goes, and how steeply. The tiles are listed left to right.
+        const rising = random.chance(0.5);
+        const gentle = random.chance(this.gentleSlopeProbability);
+        const risesRight = rising === (direction > 0);
+        let tiles;
+        if (gentle) {
+            tiles = risesRight ? [Tile.GENTLE_SLOPE_UP_LOW, Tile.GENTLE_SLOPE_UP_HIGH] : [Tile.GENTLE_SLOPE_DOWN_HIGH, Tile.GENTLE_SLOPE_DOWN_LOW];
+        } else {
+            tiles = [risesRight ? Tile.SLOPE_UP : Tile.SLOPE_DOWN];
+        }
+        const first = direction > 0 ? x : x - tiles.length + 1;
+
+        // Rising slopes sit in the row above the ground, falling ones replace it. Either way, they need support below.
+        const row = rising ? ground - 1 : ground;
+        if (rising ? row - this.controller.height < jumpLimit : row + 1 > fallLimit) return false;
+
+        // Keep the first and last columns clear, for the start and goal platforms, and don't build over anything reserved.
+        // (The row above needs to be clear too - rising slopes walk up through it, and if we've already walked over
+        // a falling slope's column, it'd have pulled our feet down it back then)
+        for (let column = first; column < first + tiles.length; column++) {
+            if (column < 1 || column > columns - 2) return false;
+            for (let y = row - 1; y <= row + 1; y++) {
+                if (map.getTileAt(column, y) !== Tile.NONE || map.isLocked(column, y)) return false;
+            }
+        }
+
+        tiles.forEach((tile, i) => {
+            map.place(tile, first + i, row);
+            map.place(SOLID_RESERVATION, first + i, row + 1);
+        });
+        return true;
+    }
+
+    /**
+     * Reserve a ladder in front of the character, from the ground they're standing on up higher than they could jump.
+     * The ladder is left out if it would run through anything solid or locked, or its top through space the path has fallen through.
+     * (Its top can be stood on, so it'd have caught that fall)
+     * @param {MapChunk} map Map to reserve the ladder in.
+     * @param {CharacterState} state Character state standing on flat ground.
+     * @param {Number} jumpLimit Ceiling row we mustn't climb above, so we can still jump without leaving the map.
+     * @param {Set<string>} fallenThrough Cells ("x,y") the path has fallen through so far.
+     * @param {Random} random Source of random numbers for this attempt.
+     * @returns {boolean} True if the ladder was placed.
+     */
+    raiseLadder(map, state, jumpLimit, fallenThrough, random) {
+        const { columns } = map.getDimensions();
+
+        // Only start a climb from flat ground, where our feet are level with the top of a row.
+        const ground = Math.round(state.y + this.controller.height);
+        if (Math.abs(state.y + this.controller.height - ground) > 0.001) return false;
+
+        // Keep the first and last columns clear, for the start and goal platforms.
+        const x = Math.floor(state.x + this.controller.width / 2);
+        if (x < 1 || x > columns - 2) return false;
+
+        // Not on top of another ladder, either. We might have landed on its top, and it'd stop being one.
+        if (map.isClimbable(x, ground)) return false;
+
+        // Climb further than a jump would take us, but not so far that we can't jump from the top.
+        const shortest = Math.floor(this.controller.jumpHeight) + 1;
+        const tallest = Math.min(shortest + 3, Math.floor(ground - this.controller.height - jumpLimit));
+        if (tallest < shortest) return false;
+        const top = ground - random.integer(shortest, tallest);
+
+        // The ladder can go through space we've been through already, just not anything built there.
+        // We also need room to climb off the top.
+        for (let y = top - 1; y < ground; y++) {
+            const tile = map.getTileAt(x, y);
+            if ((tile !== Tile.NONE && tile !== PLAYER_RESERVATION) || map.isLocked(x, y)) return false;
+        }
+        if (fallenThrough.has(`${x},${top}`)) return false;
+
+        map.fill(LADDER_RESERVATION, x, top, x, ground - 1);
+        return true;
+    }
+
     /**
      * Attempts, just once, to plan a path from the left side of the map to the right.
+     * The path visits the map's waypoints in order on the way, and keeps out of its keep-out regions (See MapChunk.constraints)
      * @param {MapChunk} map Map to use for dimensions and bookkeeping information. Can contain pre-placed content.
+     * @param {Random} random Source of random numbers for this attempt. The same seed always gives the same path.
      * @returns {CharacterState[]|null} Complete frame-by-frame history of the successful path through the level.
+     * If there isn't one, the failure field says which constraint the attempt couldn't meet.
      */
-    attemptPath(map) {
+    attemptPath(map, random) {
         const { columns, rows } = map.getDimensions();
+        const dt = this.controller.dt;
 
         // Determine how how far we can fall before we MUST find ground, and how high we can climb and still jump higher.
         const fallLimit = rows - 2;
-        const jumpLimit = controller.jumpHeight;
+        const jumpLimit = this.controller.jumpHeight;
 
         // Choose a random starting point for our character, on the left side of the map.
         let state = new CharacterState(
             0, 
-            jumpLimit + Math.floor(Math.random() * (fallLimit - jumpLimit)) + 1 - this.controller.height
+            jumpLimit + Math.floor(random.value() * (fallLimit - jumpLimit)) + 1 - this.controller.height
         );
         // ...standing on the ground, facing right.
         state.framesOnGround = 1;
@@ -225,10 +614,33 @@ class Pather {
         // Remember whether we were on the ground in the previous frame - which we are in the initial state.
         let wasOnGround = true;
 
+        /** @type {Set<string>} Cells ("x,y") the path has fallen through, where a one-way platform would have caught it.*/
+        const fallenThrough = new Set();
+
+        // Count off the designer's waypoints as we pass through them, in order.
+        const { waypoints } = map.constraints;
+        let waypointsReached = 0;
+
+        // Keep an eye on what's holding us up, so if we run out of time we can say why: since we last got further right
+        // than ever before, how long we've spent standing above the jump ceiling, and how many floors we've had to force
+        // at the bottom of the map.
+        let furthestColumn = 0;
+        let stalledFrames = 0;
+        let ceilingFrames = 0;
+        let forcedFloors = 0;
+
         // Advance frame-by-frame, up to our maximum frame count.
         for (let i = 0; i < ticksBudget; i++) {
             // Use our Markov chain logic to determine our pseudo-random input given the most recent character state.
-            const input = this.selectInputForState(state, jumpLimit);
+            const waypoint = waypoints[waypointsReached] ?? null;
+            const input = this.selectInputForState(state, jumpLimit, random, waypoint);
+
+            // Don't walk into a keep-out region - try to jump over it instead.
+            if (state.isOnGround(this.controller.coyoteFrames) && input.x !== 0 && state.y >= jumpLimit && !input.jump
+                && this.#keepOutAhead(map, state, input.x)) {
+                input.jump = true;
+                this.planJumpHold(state, random);
+            }
 
             // Don't allow jumping in the first 3 columns for the first few seconds,
             // just so our starting platform tends to be longer than one tile.
@@ -236,7 +648,9 @@ class Pather {
             input.jump &= !nearStart;
 
             // Use the character control logic to advance the character state one frame.
+            // (Remembering the input, so the skinner can replay the path on the finished level)
             const newState = this.controller.step(state, input);
+            newState.input = input;
 
             // Handle collisions with any existing solid tile reservations.
             let {collided, left, right, top, bottom} = this.controller.handleCollision(newState, map);
@@ -244,60 +658,236 @@ class Pather {
             // Check whether we're falling and need to land on something.            
             if (newState.isFalling()) {
                 let needsFloor = false;
+                const offSlope = state.onSlope && bottom < fallLimit && newState.prevY + this.controller.height > bottom + 0.001;
 
                 if (wasOnGround) {
                     // If we've just dropped off an edge, we should keep walking straight unless it's time to jump.
+                    // (Or if it's an edge at the bottom of the map, since there's nowhere left to fall to)
                     let endPlatform = this.jumpDistribution(state.framesOnGround);
-                    needsFloor = nearStart || Math.random() >= endPlatform;
+                    needsFloor = nearStart || !random.chance(endPlatform) || bottom > fallLimit;
                 } else {
                     // Or if we're in an extended fall, we should land if we're nearing the bottom of the screen,
-                    // or if our landing distribution says so.
+                    // or if our landing distribution says so. Short hops come down sooner than the full jumps
+                    // that distribution is timed for, so count them as further along by the airtime they skipped.
+                    // Mid-air jumps restart the clock, since they launch a whole new arc.
+                    const airFrames = Math.min(newState.framesSinceGround, newState.framesSinceJump);
                     needsFloor = bottom > fallLimit
-                              || Math.random() < this.landDistribution(newState.framesSinceGround);
+                              || random.chance(this.landDistribution(airFrames + this.shortHopHeadStart(newState)));
                 }         
 
+                // Waypoints and keep-out regions get the last word, though. Hold off landing while our next waypoint
+                // is still below us, land as soon as we can if it's above us, and always land rather than fall into
+                // a keep-out region. (None of this touches the random rolls, so maps without constraints come out the same)
+                if (waypoint && bottom <= fallLimit) {
+                    if (waypoint.y > bottom) needsFloor = false;
+                    else if (waypoint.y < top && !wasOnGround) needsFloor = true;
+                }
+                for (let x = left; x <= right; x++) {
+                    if (map.keepOutAt(x, bottom + 1) >= 0) needsFloor = true;
+                }
+
                 // If we've concluded that we need a floor, try to build one.
                 // (We may fail if this space is already reserved, but we'll override that to avoid falling down a pit)
                 if (needsFloor) {
                     let floorPlaced = false;
+                    // Floors only go in the row our feet dropped into this frame. If they were already below the top of it,
+                    // a floor there would have caught us a frame or more ago, so snapping up onto it now would make a path
+                    // the physics could never play back. We'll land on the next row down instead. (Unless we're about to
+                    // fall out of the map - then any floor will do)
+                    // The exception is walking off the low end of a slope: our feet are left hanging just above the next
+                    // row down, and the physics sticks them to any ground it finds there, so that's where the floor goes.
+                    // Space we've passed through can still take a one-way platform, if it's only ever been passed upward
+                    // or sideways through.
+                    let oneWay = null;
+                    const row = offSlope ? bottom + 1 : bottom;
+                    const fromAbove = newState.prevY + this.controller.height <= row + 0.001;
                     for(let x = left; x <= right; x++) {
-                        if (bottom > fallLimit || map.getTileAt(x, bottom) !== PLAYER_RESERVATION) {
-                            map.place(SOLID_RESERVATION, x, bottom);
+                        // (Never over a slope or ladder, either - we might be stepping off the top of one.
+                        // Nor anywhere the designer has locked)
+                        const tile = map.getTileAt(x, row);
+                        if (tileRegistry.get(tile).slope || tileRegistry.get(tile).climbable || map.isLocked(x, row)) continue;
+                        // (A one-way platform we've already put down stays one, since we might have jumped up through it since)
+                        if (tile === ONE_WAY_RESERVATION) continue;
+                        if (row > fallLimit || (fromAbove && tile !== PLAYER_RESERVATION)) {
+                            map.place(SOLID_RESERVATION, x, row);
+                            floorPlaced = true;
+                        } else if (this.oneWayProbability > 0 && fromAbove && !fallenThrough.has(`${x},${row}`)
+                                   && (oneWay ??= random.chance(this.oneWayProbability))) {
+                            map.place(ONE_WAY_RESERVATION, x, row);
                             floorPlaced = true;
                         }
                     }
 
                     if (floorPlaced) {                        
+                        // (Noting if it was one we only placed to stop us falling out the bottom of the map)
+                        if (bottom > fallLimit) forcedFloors++;
+
                         // Re-run our collision check to snap the player above the newly placed floor,
-                        // and update our bounds.
-                        ({collided, left, right, top, bottom} = this.controller.handleCollision(newState, map));                            
+                        // and update our bounds. (If we'd already hit a wall, that still counts - a single pass over the
+                        // finished map checks walls after floors, so that's the collision it'll report)
+                        const {collision} = newState;
+                        ({collided, left, right, top, bottom} = this.controller.handleCollision(newState, map));
+                        if (collision?.x) newState.collision = collision;
                     }
 
                     // Update grounded state based on which branch we took.
-                    wasOnGround = floorPlaced; // We're on ground now if we placed a floor.
+                    wasOnGround = floorPlaced && newState.isOnGround(); // We're on ground now if we placed a floor (and it caught us).
                 } else {
                     wasOnGround = false;       // We're still falling since we didn't place a floor.
                 }
+
+                // If we walked off a slope without one, keep the next row down clear under us, or a floor built there
+                // later would have caught our feet.
+                if (offSlope && !wasOnGround) {
+                    for (let x = left; x <= right; x++) {
+                        if (map.getTileAt(x, bottom + 1) === Tile.NONE && !map.isLocked(x, bottom + 1))
+                            map.place(PLAYER_RESERVATION, x, bottom + 1);
+                    }
+                }
             } else {
                 wasOnGround = newState.isOnGround(); // The physics state knows whether we're standing or mid-jump.
             }
 
-            // Mark the tiles our character sprite needs to occupy this frame as reserved.
-            map.fill(PLAYER_RESERVATION, left, top, right, newState.velY > 0 ? top : bottom);
+            // Mark the tiles our character sprite needs to occupy this frame as reserved - all of them, even on the way down,
+            // so nothing built later can stand in the way of frames we've already simulated.
+            // On a slope, our box dips into the slope and the ground beside it, so leave those be - and never cover
+            // slopes, one-way platforms or ladders we pass through.
+            for (let x = left; x <= right; x++) {
+                for (let y = top; y <= bottom; y++) {
+                    const definition = tileRegistry.get(map.getTileAt(x, y));
+                    if (!definition.solid && !definition.slope && !definition.oneWay && !definition.climbable && !map.isLocked(x, y))
+                        map.place(PLAYER_RESERVATION, x, y);
+                }
+            }
+
+            // Remember everywhere we've fallen through, so we never put a one-way platform in our own way.
+            if (newState.velY > 0) {
+                for (let x = left; x <= right; x++) {
+                    for (let y = top; y <= bottom; y++) fallenThrough.add(`${x},${y}`);
+                }
+            }
+
+            // Sometimes shape the ground ahead into a slope up or down. (With slopes turned off, don't even roll for them,
+            // so the rest of the path comes out just as it would have without them)
+            if (this.slopeProbability > 0 && wasOnGround && !newState.onSlope && newState.framesSinceGround === 0 && Math.abs(newState.velX) > 1
+                && random.chance(this.controller.stepChance(this.slopeProbability))) {
+                this.raiseSlope(map, newState, left, right, jumpLimit, fallLimit, random);
+            }
+
+            // Or, sometimes put up a ladder to climb. Once it's placed, check our surroundings again, so we can grab it.
+            if (this.climbProbability > 0 && wasOnGround && !newState.onSlope && newState.framesSinceGround === 0
+                && random.chance(this.controller.stepChance(this.climbProbability))
+                && this.raiseLadder(map, newState, jumpLimit, fallenThrough, random)) {
+                // (Keeping what we bumped into the first time around - this second look starts from where we already stopped)
+                const {collision} = newState;
+                this.controller.handleCollision(newState, map);
+                newState.collision = collision;
+                newState.wantsToClimb = true;
+            }
+
+            // Sometimes raise a wall in our way, so we'll have to wall jump off it.
+            // Only while we're heading left, though: kicking off a wall sends us back the way we came, so a wall on our
+            // left turns a backtrack around toward the goal, while one on our right would stand across the way forward,
+            // and the path would have to get back over it. (Trying it both ways, paths took nearly three times as many
+            // attempts, and more of them failed outright)
+            if (this.controller.canWallJump && !wasOnGround && newState.wallContact === 0 && newState.y >= jumpLimit
+                && newState.velX < -1 && random.chance(this.controller.stepChance(this.wallJumpProbability))) {
+                this.raiseWall(map, newState, Math.sign(newState.velX), left, right, top, bottom);
+            }
             
             // Record our path history and advance to the next frame's state before we loop.
             state = newState;
             path.push(state);
 
-            // If we landed and we're in the rightmost column, we have arrived at a valid end goal!
+            // Entering a keep-out region ends the attempt. Otherwise, tick off the next waypoint once we touch it.
+            const keptOut = this.#keepOutTouched(map, left, right, top, bottom);
+            if (keptOut >= 0) {
+                this.failure = this.describeFailure(map, waypointsReached, keptOut);
+                this.lastOutcome = "keepOut";
+                this.lastAttempt = path;
+                return null;
+            }
+            while (waypointsReached < waypoints.length && Pather.touches(waypoints[waypointsReached], left, right, top, bottom))
+                waypointsReached++;
+
+            // Once we're entirely below the map, there's no coming back, so don't wait out the rest of the budget.
+            if (state.y > rows) {
+                this.failure = this.describeFailure(map, waypointsReached);
+                this.lastOutcome = "fellOut";
+                this.lastAttempt = path;
+                return null;
+            }
+
+            const column = Math.floor(state.x);
+            if (column > furthestColumn) {
+                furthestColumn = column;
+                stalledFrames = ceilingFrames = forcedFloors = 0;
+            } else {
+                stalledFrames++;
+                if (state.isOnGround() && state.y < jumpLimit) ceilingFrames++;
+            }
+
+            // If we landed and we're in the rightmost column, with all our waypoints visited, we have arrived at a valid end goal!
             // Return the successful path.
-            if (state.x >= columns - 1  && state.isOnGround()) {                
+            if (state.x >= columns - 1  && state.isOnGround() && waypointsReached === waypoints.length) {                
                 return path;
             }
         }       
         
         // Pathing time-out / fail. :(
+        // If we spent most of the time since we last made progress stuck up under the ceiling, blame that,
+        // or else any floor we had to force at the bottom of the map.
+        this.failure = this.describeFailure(map, waypointsReached);
+        this.lastOutcome = ceilingFrames > stalledFrames / 2 ? "ceiling" : forcedFloors > 0 ? "forcedFloor" : "timeout";
         this.lastAttempt = path;
         return null;
     }
+
+    /**
+     * Checks whether a character's bounds cover a cell.
+     * @param {{x: Number, y: Number}} cell Cell to check, like a waypoint.
+     * @param {Number} left Leftmost column the character occupies.
+     * @param {Number} right Rightmost column the character occupies.
+     * @param {Number} top Top row the character occupies.
+     * @param {Number} bottom Bottom row the character occupies.
+     * @returns {boolean} True if the character is in the cell.
+     */
+    static touches(cell, left, right, top, bottom) {
+        return cell.x >= left && cell.x <= right && cell.y >= top && cell.y <= bottom;
+    }
+
+    /**
+     * Finds whether a character's bounds overlap any of the map's keep-out regions.
+     * @param {MapChunk} map Map with the keep-out regions.
+     * @param {Number} left Leftmost column the character occupies.
+     * @param {Number} right Rightmost column the character occupies.
+     * @param {Number} top Top row the character occupies.
+     * @param {Number} bottom Bottom row the character occupies.
+     * @returns {Number} Index of the first keep-out region the character is in, or -1 if none.
+     */
+    #keepOutTouched(map, left, right, top, bottom) {
+        if (map.constraints.keepOut.length === 0) return -1;
+        for (let x = left; x <= right; x++) {
+            for (let y = top; y <= bottom; y++) {
+                const index = map.keepOutAt(x, y);
+                if (index >= 0) return index;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Checks whether the column just ahead of a character standing on the ground is in a keep-out region, at the height of their body.
+     * @param {MapChunk} map Map with the keep-out regions.
+     * @param {CharacterState} state Character state, standing on the ground.
+     * @param {Number} direction Way the character is walking (-1 = left, 1 = right).
+     * @returns {boolean} True if walking on would take the character into a keep-out region.
+     */
+    #keepOutAhead(map, state, direction) {
+        if (map.constraints.keepOut.length === 0) return false;
+        const x = direction > 0 ? Math.floor(state.x + this.controller.width) : Math.floor(state.x) - 1;
+        const top = Math.floor(state.y);
+        const bottom = Math.ceil(state.y + this.controller.height) - 1;
+        return this.#keepOutTouched(map, x, x, top, bottom) >= 0;
+    }
 }
\ No newline at end of file
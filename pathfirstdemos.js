@@ -1,8 +1,22 @@
+import { Tile, MapChunk } from "./tilemap.js";
+import { CharacterState, CharacterController } from "./platformer.js";
+import { Random } from "./random.js";
+import { Pather } from "./pather.js";
+import { SearchPlanner } from "./searchplanner.js";
+import { MapSkinner } from "./skinner.js";
+import { exportTiled, drawTiledSheet } from "./tiled.js";
+import { Themes } from "./themes.js";
+import { PlayerInput, PlaySession } from "./play.js";
+import { loadSvgTiles } from "./svgtiles.js";
+import { ReachabilityValidator } from "./validator.js";
+
 // Prep our tile library and start the animation loop once all graphics are loaded.
 // See tilemap.js for this type.
-const tiles = new TileLibrary(() => {
-  animate();
-});
+const tiles = loadSvgTiles();
+tiles.ready.then(
+  () => animate(),
+  error => console.error(error)
+);
 
 //#region Demo types and helper methods.
 
@@ -153,6 +167,25 @@ function makeParameter(objectToModify, parameterName, documentIds, affectedDemos
   }  
 }
 
+/**
+ * Helper function for setting up checkboxes that switch a true/false setting on and off.
+ * @param {Object} objectToModify Object containing the flag we want to change.
+ * @param {string} parameterName Name of the flag to change.
+ * @param {string} documentId ID of the HTML checkbox linked to this flag.
+ * @param {Demo[]} affectedDemos Array of Demo objects that need to be updated when this flag changes.
+ */
+function makeToggle(objectToModify, parameterName, documentId, affectedDemos) {
+  const input = document.getElementById(documentId);
+  input.checked = objectToModify[parameterName];
+  input.addEventListener('change', () => {
+    objectToModify[parameterName] = input.checked;
+    if (objectToModify.update) objectToModify.update();
+    for (const demo of affectedDemos) {
+      demo.needsUpdate = true;
+    }
+  });
+}
+
 /**
  * Type definition for a structure representing a 2D point.
  * @typedef {Object} Point
@@ -166,10 +199,11 @@ function makeParameter(objectToModify, parameterName, documentIds, affectedDemos
  * @param {Number} tileSize Scaling factor - how many pixels wide is one tile?
  * @param {Point[]} path Array of points making up the path.
  * @param {string} colour Colour to draw the path in.
+ * @param {Number} [lineWidth=5] Thickness of the line, in pixels.
  */
-function drawPath(ctx, tileSize, path, colour) {  
+function drawPath(ctx, tileSize, path, colour, lineWidth = 5) {  
   ctx.strokeStyle = colour;
-  ctx.lineWidth = 5;
+  ctx.lineWidth = lineWidth;
   ctx.beginPath();
   let point = path[0];
 
@@ -183,6 +217,73 @@ function drawPath(ctx, tileSize, path, colour) {
   ctx.stroke();
 }
 
+/**
+ * Utility method for drawing a map's designer constraints: keep-out regions as red boxes, waypoints as numbered rings.
+ * @param {CanvasRenderingContext2D} ctx Context to draw into.
+ * @param {Number} tileSize Scaling factor - how many pixels wide is one tile?
+ * @param {MapChunk} map Map whose constraints to draw.
+ */
+function drawConstraints(ctx, tileSize, map) {
+  const { waypoints, keepOut } = map.constraints;
+  ctx.lineWidth = 3;
+  ctx.strokeStyle = 'red';
+  ctx.fillStyle = 'rgba(255, 0, 0, 0.2)';
+  for (const { x, y, width, height } of keepOut) {
+    ctx.fillRect(x * tileSize, y * tileSize, width * tileSize, height * tileSize);
+    ctx.strokeRect(x * tileSize, y * tileSize, width * tileSize, height * tileSize);
+  }
+
+  ctx.strokeStyle = 'yellow';
+  ctx.fillStyle = 'yellow';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.font = `bold ${Math.round(tileSize * 0.6)}px sans-serif`;
+  waypoints.forEach(({ x, y }, i) => {
+    ctx.beginPath();
+    ctx.arc((x + 0.5) * tileSize, (y + 0.5) * tileSize, tileSize * 0.6, 0, 2 * Math.PI);
+    ctx.stroke();
+    ctx.fillText(i + 1, (x + 0.5) * tileSize, (y - 0.6) * tileSize);
+  });
+}
+
+// Colours and descriptions for each way a path planning attempt can end (see AttemptOutcome in pather.js).
+// These colours need to match the legend in the HTML.
+const attemptOutcomes = {
+  success: { colour: 'white', label: 'success' },
+  timeout: { colour: 'red', label: 'timed out' },
+  ceiling: { colour: 'orange', label: 'stuck under the ceiling' },
+  forcedFloor: { colour: 'magenta', label: 'forced floor' },
+  fellOut: { colour: 'deepskyblue', label: 'fell out' },
+  keepOut: { colour: 'khaki', label: 'hit keep-out' },
+  stuck: { colour: 'lime', label: 'stuck' },
+};
+
+/**
+ * Utility method for summing up a planner's attempts at a path, for the stats panel.
+ * @param {Pather} planner Planner to summarize the last planPath call of.
+ * @param {Number} columns Width of the map planned in.
+ * @returns {string} One-line description of how the attempts went, and why planning failed, if it did.
+ */
+function describeAttempts(planner, columns) {
+  const attempts = planner.attempts;
+  if (attempts.length === 0) return '';
+
+  // Lead with the sub-seed of the path we found, so it can be reproduced, or else with why we couldn't find one.
+  const result = planner.successfulPath
+    ? `Found a path (sub-seed ${planner.successfulSeed}). `
+    : `No path found${planner.failure ? `: ${planner.failure.message}` : ''}. `;
+
+  const counts = Object.entries(Pather.countOutcomes(attempts))
+    .map(([outcome, count]) => `${count} ${attemptOutcomes[outcome]?.label ?? outcome}`);
+  const furthest = attempts.map(attempt => attempt.furthestColumn);
+  const averageFurthest = furthest.reduce((sum, column) => sum + column, 0) / attempts.length;
+  const averageSeconds = attempts.reduce((sum, attempt) => sum + attempt.frames, 0) / attempts.length * controller.dt;
+
+  return result + `${attempts.length} attempt${attempts.length > 1 ? 's' : ''}: ${counts.join(', ')}. `
+       + `Furthest column ${averageFurthest.toFixed(1)} on average (best ${Math.max(...furthest)} of ${columns - 1}). `
+       + `${averageSeconds.toFixed(1)}s per attempt on average.`;
+}
+
 //#endregion
 
 
@@ -194,12 +295,21 @@ const controller = new CharacterController();
 // Path generator.
 const pather = new Pather(controller);
 
+// Alternative path generator, that searches toward the goal instead of taking a random walk.
+const searchPlanner = new SearchPlanner(controller);
+
+// Whichever of the two the reader has chosen to plan paths with.
+let planner = pather;
+
 // Tile placement logic.
 const skinner = new MapSkinner();
 
 // Whenever the controller changes, the path generator also needs to change
 // (Taking into account different jump height, traversal timings)
-controller.postUpdate = pather.update.bind(pather);
+controller.postUpdate = () => {
+  pather.update();
+  searchPlanner.update();
+};
 
 // Initialize the controller (and consequently pather) with their default values.
 controller.update();
@@ -227,29 +337,31 @@ const demos = {};
   const runningJump = [];
   const stallingJump = [];
   const reverseJump = [];
+  const shortHop = [];
 
   /**
    * Helper method to simulate a jump trajectory with a given input value, and store the points it crosses.
-   * @param {Point[]} path One of the 4 stored trajectory arrays.
+   * @param {Point[]} path One of the 5 stored trajectory arrays.
    * @param {CharacterState} state Initial state at the start of the jump.
    * @param {InputState} input Current state of the player's simulated controller input.
+   * @param {Number} [holdFrames=Infinity] How many frames to hold the jump button before letting go.
    */
-  function simJumpPath(path, state, input) {
+  function simJumpPath(path, state, input, holdFrames = Infinity) {
     // Erase the old path, and start at the initial state given.
     path.length = 0;    
     path.push({x:state.x, y:state.y});
 
     // Keep simulating until we fall below our starting height.
     const startY = state.y;
-    while (state.y <= startY) {
+    for (let frame = 0; state.y <= startY; frame++) {
       // Use the character controller to step one frame into the future, and record the point in our path.
-      state = controller.step(state, input);      
+      state = controller.step(state, {x: input.x, jump: input.jump && frame < holdFrames});
       path.push({x:state.x, y:state.y});
     }  
   }
 
   /**
-   * Whenever the jumpArc demo needs to be regenerated, update the four simulated jump trajectories.
+   * Whenever the jumpArc demo needs to be regenerated, update the five simulated jump trajectories.
    */
   jumpArc.onRegenerate = function() {
     // Always start where we placed our character sprite.
@@ -263,6 +375,9 @@ const demos = {};
     start.velX = controller.runSpeed;        
     simJumpPath(runningJump, start, input);
 
+    // Short hop: the same running jump, but tapping jump for just one frame, to reach only the minimum jump height.
+    simJumpPath(shortHop, start, input, 1);
+
     // Stalling jump: letting go of the stick just as we jump.
     input.x = 0;    
     simJumpPath(stallingJump, start, input); 
@@ -293,11 +408,12 @@ const demos = {};
     }
     context.stroke();
 
-    // Then draw our four jump tajectories in their respective colours.
+    // Then draw our five jump tajectories in their respective colours.
     drawPath(context, tileSize, runningJump, 'green');
     drawPath(context, tileSize, standingJump, 'blue');    
     drawPath(context, tileSize, reverseJump, 'red');
     drawPath(context, tileSize, stallingJump, 'orange');
+    drawPath(context, tileSize, shortHop, 'purple');
   }
   jumpArc.map.preDraw = preDraw;
 
@@ -314,9 +430,43 @@ const demos = {};
     new MapChunk(width, height)
   )
 
+  // Let the reader try out some designer constraints: a hand-built ledge with a gem the path has to visit,
+  // and a region below and to the right that it has to stay out of.
+  const constraintsToggle = document.getElementById('designerConstraints');
+  function updateConstraints() {
+    pathGen.map.constraints = { waypoints: [], keepOut: [], prebuilt: [] };
+    if (!constraintsToggle.checked) return;
+
+    const ledge = new MapChunk(5, 2);
+    ledge.fill(Tile.CASTLE_BRICK, 0, 1, 4, 1);
+    ledge.place(Tile.GEM, 2, 0);
+    pathGen.map
+      .addPrebuilt(ledge, 20, 7)
+      .addWaypoint(22, 7)
+      .addKeepOut(32, 11, 6, height - 11);
+  }
+  updateConstraints();
+  constraintsToggle.addEventListener('change', () => {
+    updateConstraints();
+    pathGen.needsUpdate = true;
+  });
+
+  // Let the reader see every attempt the planner made, not just the last, with a summary of how they went.
+  const attemptsToggle = document.getElementById('showAttempts');
+  const attemptStats = document.getElementById('attemptStats');
+  attemptsToggle.addEventListener('change', () => pathGen.repaint());
+
+  // Show the seed behind the current path, and let the reader type one in to reproduce a path they liked.
+  // An empty seed field means "pick a fresh seed next time we regenerate".
+  const seedInput = document.getElementById('pathSeed');
+
   // When regenerating this demo, ask the pather for a fresh generated path.
+  // Parameter changes keep the current seed, so their effect on the same path can be compared.
   pathGen.onRegenerate = function() {
-    pather.planPath(pathGen.map);
+    const random = new Random(seedInput.value === '' ? null : parseInt(seedInput.value));
+    seedInput.value = random.seed;
+    planner.planPath(pathGen.map, 50, random);
+    attemptStats.textContent = describeAttempts(planner, width);
     // The skinned demo will also need an update to take the new path into account.
     demos.ensemble.needsUpdate = true;
   }
@@ -327,18 +477,45 @@ const demos = {};
    * @param {Number} tileSize 
    */
   function preDraw(context, tileSize) {
-    if (pather.successfulPath)
-      drawPath(context, tileSize, pather.successfulPath, 'white');
-    else if (pather.lastAttempt)
-      drawPath(context, tileSize, pather.lastAttempt, 'red');
+    // Underneath it all, faintly show every attempt that didn't make it, coloured by how it ended,
+    // so it's easier to see where and why paths go wrong while tuning.
+    if (attemptsToggle.checked) {
+      context.save();
+      context.globalAlpha = 0.35;
+      for (const attempt of planner.attempts) {
+        if (attempt.outcome !== 'success')
+          drawPath(context, tileSize, attempt.path, attemptOutcomes[attempt.outcome]?.colour ?? 'red', 2);
+      }
+      context.restore();
+    }
+
+    if (planner.successfulPath)
+      drawPath(context, tileSize, planner.successfulPath, 'white');
+    else if (planner.lastAttempt)
+      drawPath(context, tileSize, planner.lastAttempt, 'red');
+    drawConstraints(context, tileSize, pathGen.map);
   }
   pathGen.map.preDraw = preDraw;
 
   // Wire up the path to be regenerated on demand when clicking the demo canvas,
   // or when pressing the "New Path" button in the last demo.
-  function repath() {pathGen.needsUpdate = true; }
+  function repath() {
+    seedInput.value = '';
+    pathGen.needsUpdate = true;
+  }
   pathGen.canvas.addEventListener('click',repath);
   document.getElementById('repathEnsemble').addEventListener('click', repath);
+  pathGen.repath = repath;
+
+  // Typing in a seed regenerates the path it describes.
+  seedInput.addEventListener('change', () => { pathGen.needsUpdate = true; });
+
+  // Let the reader switch between the random walk and the goal-directed search, keeping the seed so they can compare.
+  const plannerSelect = document.getElementById('planner');
+  plannerSelect.addEventListener('change', () => {
+    planner = plannerSelect.value === 'search' ? searchPlanner : pather;
+    pathGen.needsUpdate = true;
+  });
 
   // Store this demo so we can refer to it later.
   demos.pathGen = pathGen;
@@ -364,39 +541,212 @@ const demos = {};
   pathToggle.addEventListener('change', updateToggles);
   reservationToggle.addEventListener('change', updateToggles);
 
+  // Let the reader check that the skinned level really can be beaten, by searching for a run through it
+  // from scratch with the same physics. The demo map doesn't show the start sign and goal flag,
+  // so we check a copy with them placed, just as the command-line generator does.
+  const reachabilityToggle = document.getElementById('checkReachability');
+  const reachabilityStats = document.getElementById('reachabilityStats');
+  const validator = new ReachabilityValidator(controller);
+  let checkedLevel = null;
+  let reachability = null;
+  function checkReachability() {
+    checkedLevel = null;
+    reachability = null;
+    reachabilityStats.textContent = '';
+    if (!reachabilityToggle.checked) return;
+
+    checkedLevel = new MapChunk(columns, rows);
+    ensemble.map.stampInto(checkedLevel, 0, 0);
+    checkedLevel.prepStartEnd();
+    reachability = validator.validate(checkedLevel);
+
+    // If the search gave up before trying everything, not finding a way through doesn't mean there isn't one.
+    const explored = `${reachability.statesExplored} states explored`;
+    if (reachability.beatable)
+      reachabilityStats.textContent = `Beatable: found a ${reachability.inputs.length}-frame run (${explored}).`;
+    else if (reachability.exhausted)
+      reachabilityStats.textContent = `Not beatable: nothing the search tried got to the goal (${explored}).`;
+    else
+      reachabilityStats.textContent = `Inconclusive: the search gave up after ${explored}, without finding a way through.`;
+  }
+  reachabilityToggle.addEventListener('change', () => {
+    checkReachability();
+    ensemble.repaint();
+  });
+
+  /**
+   * Draws the result of the reachability check: the run it found, if the level can be beaten,
+   * or else every open space it couldn't get to, shaded red, so it's clear where the level breaks down.
+   * (If the search gave up early, the spaces it didn't get to might still be reachable, so we leave them be)
+   * @param {CanvasRenderingContext2D} context 
+   * @param {Number} tileSize 
+   */
+  function drawReachability(context, tileSize) {
+    if (reachability.beatable) {
+      drawPath(context, tileSize, reachability.path, 'lime');
+      return;
+    }
+    if (!reachability.exhausted) return;
+
+    context.fillStyle = 'rgba(255, 0, 0, 0.35)';
+    for (let x = 0; x < columns; x++) {
+      for (let y = 0; y < rows; y++) {
+        if (!reachability.reached.has(`${x},${y}`) && !checkedLevel.isSolid(x, y))
+          context.fillRect(x * tileSize, y * tileSize, tileSize, tileSize);
+      }
+    }
+  }
+
   /**
-   * Anytime we repaint this demo, draw the solution path if the corresponding toggle says so.
+   * Anytime we repaint this demo, draw the solution path and the reachability check if the corresponding toggles say so.
    * @param {CanvasRenderingContext2D} context 
    * @param {Number} tileSize 
    */
-   function preDraw(context, tileSize) { if(pathToggle.checked) demos.pathGen.map.preDraw(context, tileSize) }; 
+   function preDraw(context, tileSize) {
+     if (pathToggle.checked) demos.pathGen.map.preDraw(context, tileSize);
+     if (reachability) drawReachability(context, tileSize);
+   }
    ensemble.map.preDraw = preDraw;
 
 
 
   // When the demo is regenerated, copy the path annotations into this math, 
   // then run the skinner on those annotations and the corresponding path info.
+  // Like the path demo, the skinning rolls come from a seed the reader can see and re-enter.
+  const seedInput = document.getElementById('skinSeed');
   ensemble.onRegenerate = function() {
     demos.pathGen.map.stampInto(ensemble.map, 0, 0);
-    const path = pather.successfulPath ?? pather.lastAttempt;
-    skinner.skinMap(ensemble.map, path, controller);
+    ensemble.map.constraints = demos.pathGen.map.constraints;
+    const path = planner.successfulPath ?? planner.lastAttempt;
+    const random = new Random(seedInput.value === '' ? null : parseInt(seedInput.value));
+    seedInput.value = random.seed;
+    skinner.skinMap(ensemble.map, path, controller, random);
+  }
+  seedInput.addEventListener('change', () => { ensemble.needsUpdate = true; });
+
+  // Let the reader re-dress the level in a different biome theme,
+  // or one that changes from grassland to cave to castle along the length of the level.
+  const themeSelect = document.getElementById('theme');
+  const defaultBackground = ensemble.backgroundColour;
+  function updateTheme() {
+    if (themeSelect.value === 'journey') {
+      skinner.theme = [
+        { fromColumn: 0, theme: Themes.grassland },
+        { fromColumn: Math.floor(columns / 3), theme: Themes.cave },
+        { fromColumn: Math.floor(columns * 2 / 3), theme: Themes.castle },
+      ];
+    } else {
+      skinner.theme = Themes[themeSelect.value] ?? null;
+    }
+    ensemble.backgroundColour = skinner.themeAt(0)?.background ?? defaultBackground;
+    ensemble.needsUpdate = true;
   }
+  themeSelect.addEventListener('change', updateTheme);
   
 
   const autoToggle = document.getElementById('autoRegen');
   let interval = null;
   function toggleAuto() {
     if (autoToggle.checked) {
-      interval = setInterval(()=>{demos.pathGen.needsUpdate = true;}, 1000);
-      pathGen.needsUpdate = true;
+      interval = setInterval(demos.pathGen.repath, 1000);
+      demos.pathGen.repath();
     } else {
       clearInterval(interval);
     }
   }
   autoToggle.addEventListener('change', toggleAuto);
 
+  /**
+   * Hands a file to the reader as a download.
+   * @param {Blob} blob Contents of the file.
+   * @param {string} name File name to save it as.
+   */
+  function download(blob, name) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = name;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  // Let the reader download the current level, to polish it in the Tiled map editor.
+  // The map's tileset points at a sprite sheet of all our tiles, so that comes along too, under the name the map expects.
+  document.getElementById('exportTiled').addEventListener('click', async () => {
+    const tmj = exportTiled(ensemble.map, tiles);
+    download(new Blob([JSON.stringify(tmj)], {type: 'application/json'}), 'level.tmj');
+
+    const sheet = drawTiledSheet(tiles);
+    const image = sheet.convertToBlob ? await sheet.convertToBlob({type: 'image/png'})
+                                      : await new Promise(resolve => sheet.toBlob(resolve, 'image/png'));
+    download(image, tmj.tilesets[0].image);
+  });
+
+  // Let the reader play the skinned level themselves, with the keyboard or a gamepad.
+  const playButton = document.getElementById('playEnsemble');
+  const playInput = new PlayerInput();
+  playInput.active = false;
+  let session = null;
+  let lastFrameTime = null;
+
+  function setPlaying(playing) {
+    session = playing ? new PlaySession(ensemble.map, controller) : null;
+    lastFrameTime = null;
+    playInput.active = playing;
+    playButton.textContent = playing ? 'Stop Playing' : 'Play';
+    if (!playing) ensemble.repaint();
+  }
+  playButton.addEventListener('click', () => setPlaying(!session));
+  window.addEventListener('keydown', (event) => {
+    if (!session) return;
+    if (event.code === 'KeyR') session.restart();
+    if (event.code === 'Escape') setPlaying(false);
+  });
+
+  // If the level changes under the player, start them over on the new one. (And check the new one can be beaten)
+  const skinLevel = ensemble.onRegenerate;
+  ensemble.onRegenerate = function() {
+    skinLevel();
+    checkReachability();
+    if (session) session.restart();
+  }
+
+  // Called every animation frame. The session runs as many fixed physics steps as fit in the time since the last
+  // animation frame, so the game runs at the controller's simulation rate however fast the browser animates.
+  ensemble.tick = function(time) {
+    if (!session) return;
+    const elapsed = lastFrameTime === null ? 0 : (time - lastFrameTime) / 1000;
+    lastFrameTime = time;
+    session.advance(elapsed, playInput.read());
+    const status = session.status;
+
+    const context = ensemble.context;
+    context.fillStyle = ensemble.backgroundColour;
+    context.fillRect(0, 0, ensemble.canvas.width, ensemble.canvas.height);
+    session.draw(context, tiles);
+
+    // Heads-up display of how the run is going.
+    const textSize = Math.round(ensemble.canvas.height / 16);
+    context.font = `${textSize}px sans-serif`;
+    context.fillStyle = 'white';
+    context.fillText(`Score: ${session.score}    Coins: ${session.collected}`, textSize / 2, textSize * 1.5);
+
+    if (status !== 'playing') {
+      context.font = `${Math.round(ensemble.canvas.height / 10)}px sans-serif`;
+      context.textAlign = 'center';
+      context.fillStyle = 'white';
+      context.fillText(status === 'won' ? 'You made it! Press R to play again.' : 'Oops! Press R to try again.',
+        ensemble.canvas.width / 2, ensemble.canvas.height / 2);
+      context.textAlign = 'start';
+    }
+  }
+
   // Wire up the skinner to re-run when the demo is clicked, and store the demo to refer to later.
-  ensemble.canvas.addEventListener('click', () => { ensemble.needsUpdate = true; });  
+  // (Unless we're playing, when clicks are just the reader focusing the game)
+  ensemble.canvas.addEventListener('click', () => { 
+    if (session) return;
+    seedInput.value = '';
+    ensemble.needsUpdate = true; 
+  });  
   demos.ensemble = ensemble;
 }
 
@@ -407,24 +757,37 @@ const demos = {};
   const skinDemos = [demos.ensemble];
   makeParameter(controller, 'runSpeed', ['maxSpeed', 'maxSpeed1'], allDemos);
   makeParameter(controller, 'jumpHeight', ['jumpHeight', 'jumpHeight1'], allDemos);
+  makeParameter(controller, 'minJumpHeight', ['minJumpHeight'], allDemos);
   makeParameter(controller, 'fallingGravityBoost', ['fallingBoost'], allDemos);
   makeParameter(controller, 'maxAcceleration', ['acceleration'], allDemos);
   makeParameter(controller, 'maxDeceleration', ['deceleration'], allDemos);
   makeParameter(controller, 'airControl', ['airControl'], allDemos);
-  makeParameter(pather, 'minSecondsOnPlatform', ['minJumpTime'], pathDemos);
-  makeParameter(pather, 'maxSecondsOnPlatform', ['maxJumpTime'], pathDemos);
-  makeParameter(pather, 'backtrackProbability', ['backtrackProbability'], pathDemos);
-  makeParameter(pather, 'heightVariance', ['heightVariance'], pathDemos);
+  makeParameter(controller, 'simulationRate', ['simulationRate'], allDemos);
+  makeToggle(controller, 'canDoubleJump', 'canDoubleJump', allDemos);
+  makeToggle(controller, 'canWallJump', 'canWallJump', allDemos);
+  makeToggle(controller, 'canDash', 'canDash', allDemos);
+  // The search planner shares these tuning parameters with the random walk, so the sliders steer both.
+  for (const each of [pather, searchPlanner]) {
+    makeParameter(each, 'minSecondsOnPlatform', ['minJumpTime'], pathDemos);
+    makeParameter(each, 'maxSecondsOnPlatform', ['maxJumpTime'], pathDemos);
+    makeParameter(each, 'backtrackProbability', ['backtrackProbability'], pathDemos);
+    makeParameter(each, 'heightVariance', ['heightVariance'], pathDemos);
+    makeParameter(each, 'shortHopProbability', ['shortHopProbability'], pathDemos);
+  }
+  makeParameter(pather, 'slopeProbability', ['pathSlopeProbability'], pathDemos);
+  makeParameter(pather, 'oneWayProbability', ['oneWayProbability'], pathDemos);
+  makeParameter(pather, 'climbProbability', ['climbProbability'], pathDemos);
   makeParameter(skinner, 'platformExtendProbability', ['extendProbability'], skinDemos);
   makeParameter(skinner, 'coinProbability', ['coinProbability'], skinDemos);
   makeParameter(skinner, 'powerUpProbability', ['powerUpProbability'], skinDemos);
   makeParameter(skinner, 'enemyProbability', ['enemyProbability'], skinDemos);
+  makeParameter(skinner, 'slopeProbability', ['slopeProbability'], skinDemos);
 }
 
 // Each frame, (once the tiles are loaded), find the first demo that needs an update,
 // and update it. This way we never try to do multiple updates in a frame 
 // (no matter how noisy the mouse input) so the page does not become unresponsive.
-function animate() {
+function animate(time) {
   for (const demo of Object.values(demos)) {
     if (demo.needsUpdate) {
       demo.regenerate();
@@ -432,6 +795,11 @@ function animate() {
     }
   }
 
+  // Then let any live demos (like the playable level) advance their own animation.
+  for (const demo of Object.values(demos)) {
+    if (demo.tick) demo.tick(time);
+  }
+
   window.requestAnimationFrame(animate);
 }
 
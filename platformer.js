@@ -1,15 +1,20 @@
-/** Duration of one frame, in seconds. */
-const dt = 1/30;
+/**
+ * Simulation rate, in steps per second, that the per-frame chances used by the path generator and skinner were tuned at.
+ * (The whole generator originally ran at a fixed 30 Hz) See CharacterController.stepChance.
+ */
+const TUNING_RATE = 30;
 
 /**
  * Input object used for tracking what buttons the "player" is pressing.
  * @typedef {Object} InputState
  * @property {Number} x Horizontal analog stick input, from -1 (left) to +1 (right)
+ * @property {Number} [y] Vertical analog stick input, from -1 (up) to +1 (down). (Only used for climbing ladders)
  * @property {boolean} jump Is the jump button pressed?
+ * @property {boolean} [dash] Is the dash button pressed? (Only matters if the controller has canDash set)
  */
 
 // Class representing one snapshot of the character's physical state in the game, and its inertial physics behaviour.
-class CharacterState {
+export class CharacterState {
     /** @type {Number} Horizontal position of the character's top-left corner, in tile units.*/
     x = 0;
     /** @type {Number} Vertical position of the character's top-left corner, in tile units.*/
@@ -20,6 +25,11 @@ class CharacterState {
     /** @type {Number} Vertical velocity of the character, in tiles/second downward.*/
     velY = 0;
 
+    /** @type {Number} Horizontal position at the start of the last time step, so collisions can be swept along the whole move.*/
+    prevX = 0;
+    /** @type {Number} Vertical position at the start of the last time step, so collisions can be swept along the whole move.*/
+    prevY = 0;
+
     /** @type {Number} Number of frames that have passed since the character last touched ground.*/
     framesSinceGround = 1;
     /** @type {Number} Number of consecutive frames the character has been on the ground.*/
@@ -28,6 +38,58 @@ class CharacterState {
     /** @type {Number} Which way the character is pointed (-1 = left, 0 no direction, 1 = right).*/
     facing = 1;
 
+    /** @type {boolean} True while rising from a jump with the jump button still held, so letting go can cut the jump short.*/
+    jumpHeld = false;
+
+    /**
+     * @type {Number} How many frames the simulated player means to hold jump for, in the current jump.
+     * Only used by path generation (see Pather.selectInputForState) - the physics never reads it.
+    */
+    jumpHoldFrames = 0;
+
+    /** @type {Number} Number of frames that have passed since the character last launched upward, from the ground, a wall, or mid-air.*/
+    framesSinceJump = 0;
+
+    /** @type {boolean} Was the jump button held last frame? Mid-air jumps need a fresh press, not just a held button.*/
+    jumpWasPressed = false;
+    /** @type {boolean} Was the dash button held last frame? Each dash needs a fresh press.*/
+    dashWasPressed = false;
+
+    /** @type {Number} How many extra jumps the character has made since leaving the ground.*/
+    airJumps = 0;
+
+    /** @type {boolean} Is the character standing on a slope, rather than the flat top of a block?*/
+    onSlope = false;
+
+    /** @type {Number} Side of the character a wall was pressed against last frame (-1 = left, 0 = none, 1 = right).*/
+    wallContact = 0;
+
+    /** @type {Number} Frames left in the current air dash, or zero if not dashing.*/
+    dashFrames = 0;
+    /** @type {Number} Direction of the current air dash (-1 = left, 1 = right).*/
+    dashDirection = 1;
+    /** @type {boolean} Has the character already dashed since leaving the ground? Only one dash is allowed per trip through the air.*/
+    dashUsed = false;
+
+    /** @type {boolean} Is the character holding onto a ladder, climbing instead of falling?*/
+    climbing = false;
+    /** @type {Number|null} Column of the ladder behind the middle of the character, or null if there's none to grab.*/
+    ladderColumn = null;
+    /** @type {boolean} Is there a ladder right under the character's feet, that they could climb down?*/
+    ladderBelow = false;
+
+    /**
+     * @type {boolean} Does the simulated player mean to climb the ladder they're at?
+     * Only used by path generation (see Pather.selectInputForState) - the physics never reads it.
+    */
+    wantsToClimb = false;
+
+    /**
+     * @type {InputState|null} Input that produced this state from the one before it, or null if it wasn't recorded.
+     * Only path generation records it (see Pather.attemptPath), so its paths can be replayed on the finished level.
+    */
+    input = null;
+
     /**
      * Creates a new character state, stationary, at the given coordinates.
      * @param {Number} x 
@@ -36,6 +98,8 @@ class CharacterState {
     constructor(x, y) {
         this.x = x;
         this.y = y;
+        this.prevX = x;
+        this.prevY = y;
     }
 
     /**
@@ -46,6 +110,7 @@ class CharacterState {
         let copy = new CharacterState(this.x, this.y);
         copy = Object.assign(copy, this); 
         copy.collision = undefined;       
+        copy.input = null;
         return copy;
     }
 
@@ -63,8 +128,9 @@ class CharacterState {
      * @param {Number} targetVelocity Velocity to try to reach, in tiles per second rightward.
      * @param {Number} maxAcceleration Maximum acceleration when starting motion / speeding up, in tiles per second squared.
      * @param {Number} maxDeceleration Maximum deceleration when slowing down / reversing, in tiles per second squared.
+     * @param {Number} dt Duration of the time step, in seconds.
      */
-    accelerateToward(targetVelocity, maxAcceleration, maxDeceleration) {
+    accelerateToward(targetVelocity, maxAcceleration, maxDeceleration, dt) {
         // Compute difference between desired velocity and actual.
         const deltaV = targetVelocity - this.velX;
         
@@ -80,10 +146,16 @@ class CharacterState {
     /**
      * Advance this physics state one time step, using the provided gravity strength.
      * @param {Number} gravity Vertical acceleration, in tiles per second squared downward.
+     * @param {Number} dt Duration of the time step, in seconds.
      */
-    step(gravity) {
+    step(gravity, dt) {
         // Apply downward acceleration due to gravity.
         this.velY += gravity * dt;
+        this.framesSinceJump++;
+
+        // Remember where we started, so collision checks can cover everything we passed through on the way.
+        this.prevX = this.x;
+        this.prevY = this.y;
 
         // Euler integration - advance our position along our velocity vector by one time step.
         this.x += this.velX * dt;
@@ -102,6 +174,8 @@ class CharacterState {
      */
     jump(jumpVelocity) {
         this.velY = jumpVelocity;
+        this.jumpHeld = true;
+        this.framesSinceJump = 0;
         // Reset facing direction due to changing movement state, clear frames on ground now that we're aiborne.
         this.facing = 0;
         this.framesOnGround = 0;
@@ -118,6 +192,16 @@ class CharacterState {
 
         // Clear any accumulated vertical velocity.
         this.velY = 0;
+        this.jumpHeld = false;
+
+        // Assume flat ground, unless whoever is landing us says otherwise.
+        this.onSlope = false;
+
+        // Touching the ground recharges our air abilities, and we can't still be on a ladder.
+        this.climbing = false;
+        this.airJumps = 0;
+        this.dashUsed = false;
+        this.dashFrames = 0;
 
         // Clear off-ground timer, increment ground timer.
         this.framesSinceGround = 0;
@@ -154,7 +238,7 @@ class CharacterState {
 
 // Class representing the gameplay parameters of the player character,
 // including the policy for mapping player inputs into character physics state changes.
-class CharacterController {
+export class CharacterController {
     // Using values slightly less than 1 here, just so the character can fit soundly in a single tile without
     // risk of unintuitive rounting problems at the edges (I *think* my math above fixes that, but why risk it?)
 
@@ -190,17 +274,68 @@ class CharacterController {
     airControl = 0.03;    
 
     /**
-     * @type {Number} Number of frames after running off a ledge that the character still "counts" as being on the ground.
+     * @type {Number} Seconds after running off a ledge that the character still "counts" as being on the ground.
      * This makes jumping a little more forgiving, and results in less cursing and yelling of "I PRESSED JUMP!!" when falling into a pit.
     */
+    coyoteTime = 2/30;
+
+    /** 
+     * @type {Number} Number of frames after running off a ledge that the character still "counts" as being on the ground.
+     * This is not set directly, but calculated based on coyoteTime and the simulation rate.
+    */
     coyoteFrames = 2;
 
+    /** @type {Number} How many simulation steps to run per second of game time. Time-based parameters are converted to match.*/
+    simulationRate = 30;
+
+    /** 
+     * @type {Number} Duration of one simulation step, in seconds.
+     * This is not set directly, but calculated based on simulationRate.
+    */
+    dt = 1/30;
+
     /** 
      * @type {Number} Vertical height from launch point to apex of jump, in tile units.
      * This is used to set the jumpVelocity, since it's generally more intuitive as a parameter for designers to edit.
     */
     jumpHeight = 4;
 
+    /**
+     * @type {Number} Vertical height of the lowest jump, when the jump button is tapped and released straight away, in tile units.
+     * This is used to set the jumpCutFactor. Set it equal to jumpHeight to make every jump full height.
+    */
+    minJumpHeight = 1.5;
+
+    /**
+     * @type {Number} Multiplier applied to the character's upward velocity when the jump button is released while rising.
+     * This is not set directly, but calculated based on minJumpHeight.
+    */
+    jumpCutFactor;
+
+    /** @type {boolean} Can the character jump once more in mid-air, by pressing jump again?*/
+    canDoubleJump = false;
+
+    /** @type {boolean} Can the character slide down walls they push against, and jump off them?*/
+    canWallJump = false;
+    /** @type {Number} Fastest the character can fall while sliding down a wall, in tiles per second.*/
+    wallSlideSpeed = 2;
+
+    /** @type {boolean} Can the character dash horizontally in mid-air, once per trip through the air?*/
+    canDash = false;
+    /** @type {Number} Horizontal speed of an air dash, in tiles per second. Gravity is suspended for the duration.*/
+    dashSpeed = 12;
+    /** @type {Number} Duration of an air dash, in seconds.*/
+    dashDuration = 0.2;
+
+    /** @type {Number} Speed of climbing up and down ladders, in tiles per second.*/
+    climbSpeed = 3;
+
+    /**
+     * @type {Number} How many pieces to split each frame's movement into when checking collisions.
+     * The check already sweeps across the whole frame, but each piece resolves vertical movement before horizontal,
+     * so extra pieces help very fast diagonal moves catch the corners of platforms. 1 is plenty for most settings.
+    */
+    collisionSubsteps = 1;
 
     // These parameters are calculated based on jumpHeight and the gravity parameters, to help with timing metrics.
     /** @type {Number} Seconds from the start of a jump to the apex of the jump.*/
@@ -219,17 +354,58 @@ class CharacterController {
      * and to propagate updates to any dependent demos. (ie. Update path generation when control physics changes)
      */
     update() {
+        // Work out our time step, and how many steps make up the time-based parameters counted in frames.
+        this.dt = 1 / this.simulationRate;
+        this.coyoteFrames = Math.round(this.coyoteTime / this.dt);
+
         // Update jump velocity and timing metrics based on the latest jumpHeight and gravity settings.
         // You can get these formulae by solving the equation of motion, y(t) = y(0) + v(0) * t + a * t * t / 2.
         this.jumpVelocity = -Math.sqrt(2 * this.jumpHeight * this.gravity);        
         this.timeToPeak = -this.jumpVelocity/this.gravity;        
         this.timeToFall = Math.sqrt(2 * this.jumpHeight / (this.gravity * this.fallingGravityBoost));
 
+        // Rise height goes with the square of launch speed, so cutting the speed at launch by this factor
+        // leaves just enough to reach minJumpHeight. (Releasing later in the jump lands somewhere in between)
+        const minHeight = Math.min(Math.max(this.minJumpHeight, 0), this.jumpHeight);
+        this.jumpCutFactor = Math.sqrt(minHeight / this.jumpHeight);
+
         // Propagate changes to any downstream demos.
         if (this.postUpdate)
             this.postUpdate();
     }
 
+    /**
+     * Converts a chance of something happening in one frame, as tuned at the generator's original 30 Hz,
+     * into the chance for one of our simulation steps - so random per-frame events happen just as often per second,
+     * whatever the simulation rate.
+     * @param {Number} chance Probability of the event in one 1/30th second frame.
+     * @returns {Number} Probability of the event in one of our steps.
+     */
+    stepChance(chance) {
+        if (this.simulationRate === TUNING_RATE) return chance;
+        return 1 - Math.pow(1 - chance, TUNING_RATE / this.simulationRate);
+    }
+
+    /**
+     * Estimates how long a jump stays in the air, from launch until it comes back down to the height it started at.
+     * @param {Number} [releaseTime=Infinity] Seconds after launch that the jump button is let go. Defaults to holding it all the way up.
+     * @returns {Number} Seconds from launch to landing, ignoring anything the character might bump into.
+     */
+    jumpDuration(releaseTime = Infinity) {
+        // Letting go after the apex is the same as holding on - there's no upward speed left to cut.
+        const riseTime = Math.min(Math.max(releaseTime, 0), this.timeToPeak);
+        if (riseTime >= this.timeToPeak) return this.timeToPeak + this.timeToFall;
+
+        // Rise at full strength until the release, then coast up on the cut speed.
+        const releaseVelocity = this.jumpVelocity + this.gravity * riseTime;
+        const cutVelocity = releaseVelocity * this.jumpCutFactor;
+        const height = -this.jumpVelocity * riseTime - this.gravity * riseTime * riseTime / 2
+                     + cutVelocity * cutVelocity / (2 * this.gravity);
+
+        // Then fall back down that height with the boosted gravity.
+        return riseTime - cutVelocity / this.gravity + Math.sqrt(2 * height / (this.gravity * this.fallingGravityBoost));
+    }
+
     /**
      * Use the character controller produce a new character state based on the given player input.
      * @param {CharacterState} oldState Previous physics state of the character.
@@ -251,17 +427,103 @@ class CharacterController {
         // Adjust our control strength based on whether we are on the ground.
         const traction =  newState.isOnGround() ? 1 : this.airControl;
         // Accelerate in the input direction left/right (or decelerate to a stop if input.x is zero).
-        newState.accelerateToward(targetVelocity, this.maxAcceleration * traction, this.maxDeceleration * traction);
+        newState.accelerateToward(targetVelocity, this.maxAcceleration * traction, this.maxDeceleration * traction, this.dt);
+
+        // Abilities used in mid-air only respond to a fresh press, so holding jump through a jump doesn't also double jump.
+        const jumpPressed = input.jump && !oldState.jumpWasPressed;
+        const dashPressed = Boolean(input.dash) && !oldState.dashWasPressed;
+        newState.jumpWasPressed = input.jump;
+        newState.dashWasPressed = Boolean(input.dash);
+
+        // Only walls touched in the last frame count - handleCollision will report whether we're still touching one.
+        const wall = newState.isOnGround() ? 0 : oldState.wallContact;
+        newState.wallContact = 0;
+
+        // Grab a ladder by pushing up or down on one we're in front of, or down on one we're standing on.
+        const climbInput = Math.sign(input.y ?? 0);
+        if (!newState.climbing && climbInput !== 0
+            && (newState.ladderColumn !== null || (climbInput > 0 && newState.ladderBelow))) {
+            // Line up with the ladder, and stop any fall or dash. Grabbing on recharges our air abilities, like landing.
+            const column = newState.ladderColumn ?? Math.floor(newState.x + this.width / 2);
+            newState.climbing = true;
+            newState.x = column + 0.5 - this.width / 2;
+            newState.velX = 0;
+            newState.velY = 0;
+            newState.jumpHeld = false;
+            newState.dashFrames = 0;
+            newState.airJumps = 0;
+            newState.dashUsed = false;
+        }
+
+        // While climbing, move up and down the ladder with no gravity, until we jump off it (or climb off an end).
+        if (newState.climbing) {
+            if (jumpPressed) {
+                newState.climbing = false;
+                newState.jump(this.jumpVelocity);
+                newState.velX = input.x * this.runSpeed;
+            } else {
+                newState.velX = 0;
+                newState.velY = climbInput * this.climbSpeed;
+            }
+            newState.step(newState.climbing ? 0 : this.gravity, this.dt);
+            return newState;
+        }
 
         // If the player tries to jump, confirm if we're allowed before doing so.
         if (input.jump && newState.isOnGround(this.coyoteFrames)) {
             newState.jump(this.jumpVelocity);
-        }        
+        } else if (jumpPressed && this.canWallJump && wall !== 0) {
+            // Kick off the wall, away from it at full running speed.
+            newState.jump(this.jumpVelocity);
+            newState.velX = -wall * this.runSpeed;
+            newState.facing = -wall;
+            newState.dashFrames = 0;
+        } else if (jumpPressed && this.canDoubleJump && newState.airJumps < 1) {
+            newState.jump(this.jumpVelocity);
+            newState.airJumps++;
+            newState.dashFrames = 0;
+        } else if (newState.jumpHeld) {
+            // Letting go of jump while still rising cuts the jump short, Mario-style.
+            // Once we stop rising (at the apex, or by bumping our head) there's nothing left to cut.
+            if (newState.velY >= 0) {
+                newState.jumpHeld = false;
+            } else if (!input.jump) {
+                newState.velY *= this.jumpCutFactor;
+                newState.jumpHeld = false;
+            }
+        }
+
+        // Start an air dash in the direction we're facing (or pushing, if we've no facing yet).
+        if (dashPressed && this.canDash && !newState.dashUsed && !newState.isOnGround(this.coyoteFrames)) {
+            newState.dashUsed = true;
+            newState.dashFrames = Math.max(1, Math.round(this.dashDuration/this.dt));
+            newState.dashDirection = newState.facing || Math.sign(input.x) || 1;
+            newState.jumpHeld = false;
+        }
+
+        // While dashing, shoot sideways at a fixed speed, with gravity on hold.
+        if (newState.dashFrames > 0) {
+            newState.dashFrames--;
+            newState.velX = newState.dashDirection * this.dashSpeed;
+            newState.velY = 0;
+            newState.step(0, this.dt);
+
+            // Come out of the dash no faster than we can run.
+            if (newState.dashFrames === 0)
+                newState.velX = newState.dashDirection * this.runSpeed;
+            return newState;
+        }
 
         // Fall with the appropriate gravity.
         let gravity = this.gravity;
         if (newState.isFalling()) gravity *= this.fallingGravityBoost;
-        newState.step(gravity)
+
+        // Pushing against a wall on the way down slows the fall to a slide.
+        if (this.canWallJump && wall !== 0 && Math.sign(input.x) === wall && newState.velY >= this.wallSlideSpeed) {
+            newState.velY = this.wallSlideSpeed;
+            gravity = 0;
+        }
+        newState.step(gravity, this.dt)
 
         return newState;
     }
@@ -278,87 +540,276 @@ class CharacterController {
 
     /**
      * Checks for collisions between a character and the map, and resolves collisions that occur by modifying the character state.
+     * The check is swept across the whole frame's movement (from prevX/prevY to x/y), so fast-moving characters
+     * can't skip over thin platforms or walls between one frame and the next.
+     * Slope tiles aren't solid - instead, the character stands on their surface, and follows it as they walk.
+     * One-way platforms only stop the character when they fall onto them from above, and so do the tops of ladders,
+     * unless the character is climbing down them.
      * @param {CharacterState} newState A character physics state to move to a non-intersecting position.
      * @param {MapChunk} map A MapChunk to use for collision checks (calls map.isSolid(x, y))
      * @returns {CollisionReport} A data structure including the character's resulting tile bounds and whether a collision occurred.
      */
     handleCollision(newState, map) {
+        const substeps = Math.max(1, Math.round(this.collisionSubsteps));
+        const startX = newState.prevX;
+        const startY = newState.prevY;
+        const endX = newState.x;
+        const endY = newState.y;
+
+        // Split the movement into even pieces, sweeping each one in turn.
+        // Once we hit something along an axis, we stay put along that axis for the rest of the frame.
+        let report;
+        let collided = false;
+        let fromX = startX;
+        let fromY = startY;
+        for (let i = 1; i <= substeps; i++) {
+            if (!report?.hitX) newState.x = startX + (endX - startX) * i / substeps;
+            if (!report?.hitY) newState.y = startY + (endY - startY) * i / substeps;
+
+            const hitX = report?.hitX;
+            const hitY = report?.hitY;
+            report = this.#sweep(newState, fromX, fromY, map);
+            report.hitX ||= hitX;
+            report.hitY ||= hitY;
+            collided ||= report.collided;
+
+            fromX = newState.x;
+            fromY = newState.y;
+        }
+
+        // Note any ladder behind the middle of us, or right under our feet, so we can grab it next frame.
+        const column = Math.floor(newState.x + this.width / 2);
+        newState.ladderColumn = null;
+        for (let y = report.top; y <= report.bottom; y++) {
+            if (map.isClimbable(column, y)) newState.ladderColumn = column;
+        }
+        newState.ladderBelow = map.isClimbable(column, Math.floor(newState.y + this.height + 0.001));
+
+        // If we've climbed off the end of a ladder, let go of it, without carrying on upward.
+        if (newState.climbing && newState.ladderColumn === null) {
+            newState.climbing = false;
+            newState.velY = Math.max(newState.velY, 0);
+        }
+
+        // Report back the resulting bounds and whether or not we had to resolve a collision.
+        const {left, right, top, bottom} = report;
+        return {collided, left, right, top, bottom}
+    }
+
+    /**
+     * Treats the sides of the map as walls, stopping the character at them, so they can't wander off either end.
+     * Call this after handleCollision, wherever the character is really being played - play mode and the
+     * reachability validator both do, so a run one of them finds works the same in the other.
+     * (The pather leaves it out: a path that strays off the map has no floor out there, and falls out of it instead)
+     * @param {CharacterState} newState A character physics state to keep inside the map.
+     * @param {MapChunk} map Map whose sides to stop at.
+     */
+    keepInMap(newState, map) {
+        const { columns } = map.getDimensions();
+        if (newState.x < 0) {
+            newState.x = 0;
+            newState.velX = Math.max(newState.velX, 0);
+        } else if (newState.x > columns - this.width) {
+            newState.x = columns - this.width;
+            newState.velX = Math.min(newState.velX, 0);
+        }
+    }
+
+    /**
+     * Sweeps the character's collision box from one position to the position in its state,
+     * stopping it at the first solid tile it would pass into. Vertical movement is resolved first, then horizontal.
+     * @param {CharacterState} newState A character physics state to move to a non-intersecting position.
+     * @param {Number} fromX Horizontal position the character is moving from.
+     * @param {Number} fromY Vertical position the character is moving from.
+     * @param {MapChunk} map A MapChunk to use for collision checks.
+     * @returns {CollisionReport & {hitX: boolean, hitY: boolean}} The resolved bounds, plus which axes were stopped by a collision.
+     */
+    #sweep(newState, fromX, fromY, map) {
         // Initialize collision flag and character bounds in the tile map.
         let collided = false;
+        let hitX = false;
+        let hitY = false;
 
         let left = newState.leftTile();
         let right = newState.rightTile(this.width);
 
         let top = newState.topTile();
         let bottom = newState.bottomTile(this.height);
+
+        // Helpers to find where we were partway through the movement, when an edge of the box crossed into a new row/column.
+        const xAt = (t) => fromX + (newState.x - fromX) * t;
+        const yAt = (t) => fromY + (newState.y - fromY) * t;
         
-        if (newState.velY > 0) {
-            // Falling down - land if we touch a solid tile below.
-            for (let x = left; x <= right; x++) {
-                if(map.isSolid(x, bottom) && !map.isSolid(x, bottom - 1)) {                    
-                    newState.y = bottom - this.height;
+        // If we were on the ground last frame, follow any slope under our feet, up or down, rather than
+        // walking into it or launching off it into the air. (Slopes are at most 45°, so the ground can't
+        // have moved further up or down than we moved across) Once we've walked off a slope, stick to the ground we find.
+        if (newState.velY >= 0 && newState.framesSinceGround <= 1) {
+            const footX = newState.x + this.width / 2;
+            const column = Math.floor(footX);
+            const feet = newState.y + this.height;
+            const reach = Math.abs(newState.x - fromX) + 0.05;
+            for (let row = Math.floor(feet - reach); row <= Math.floor(feet + reach) && !hitY; row++) {
+                const surface = map.slopeSurfaceAt(column, row, footX - column);
+                if (surface !== null && Math.abs(surface - feet) <= reach) {
+                    this.#standOnSlope(newState, surface);
+                    collided = hitY = true;
+                } else if (surface === null && newState.onSlope && row >= feet
+                    && map.isSolid(column, row) && !map.isSolid(column, row - 1)) {
+                    newState.y = row - this.height;
                     newState.land();
-
-                    top = newState.topTile();
-                    bottom--;
-
-                    collided = true;
                     newState.collision = {x:0, y:1};
-                    break;
+                    collided = hitY = true;
+                }
+            }
+            top = newState.topTile();
+            bottom = newState.bottomTile(this.height);
+        }
+
+        if (!hitY && newState.velY > 0) {
+            // Falling down - land on the first solid tile we touch below, checking each row our feet passed into this frame.
+            // (For rows before the last, check the columns we were over when our feet got there)
+            // (Slopes are checked from the row our feet started in, since we can be above the surface of a slope we're already inside)
+            const fromBottom = Math.ceil(fromY + this.height - 1);
+            const firstRow = Math.min(fromBottom + 1, bottom);
+            for (let row = Math.min(fromBottom, firstRow); row <= bottom && !hitY; row++) {
+                let rowX = newState.x;
+                if (row < bottom) rowX = xAt(Math.max(row - (fromY + this.height), 0) / (newState.y - fromY));
+                const rowLeft = Math.floor(rowX);
+                const rowRight = Math.ceil(rowX + this.width - 1);
+
+                // If our feet are over a slope in this row, its surface is the ground here, not the blocks beside it.
+                const footX = rowX + this.width / 2;
+                const surface = map.slopeSurfaceAt(Math.floor(footX), row, footX - Math.floor(footX));
+                if (surface !== null) {
+                    if (newState.y + this.height >= surface) {
+                        this.#standOnSlope(newState, surface);
+                        top = newState.topTile();
+                        bottom = newState.bottomTile(this.height);
+                        collided = hitY = true;
+                    }
+                    continue;
+                }
+                if (row < firstRow) continue;
+
+                // One-way platforms only catch us if our feet were above them when this frame started.
+                // (With a little tolerance, since standing on one leaves our feet within rounding error of its top)
+                // The top of a ladder works the same way, unless we're climbing.
+                const fromAbove = fromY + this.height <= row + 0.001;
+                for (let x = rowLeft; x <= rowRight; x++) {
+                    const ladderTop = !newState.climbing && map.isClimbable(x, row) && !map.isClimbable(x, row - 1);
+                    if((map.isSolid(x, row) || (fromAbove && (map.isOneWay(x, row) || ladderTop))) && !map.isSolid(x, row - 1)) {
+                        newState.y = row - this.height;
+                        newState.land();
+
+                        top = newState.topTile();
+                        bottom = row - 1;
+
+                        collided = hitY = true;
+                        newState.collision = {x:0, y:1};
+                        break;
+                    }
                 }
             }
-        } else if (newState.velY < 0) {
-            // Rising up - kill our vertical velocity if we hit our head.
-            for (let x = left; x <= right; x++) {
-                if(map.isSolid(x, top) && !map.isSolid(x, top + 1)) {
-                    newState.y = top+1;
-                    newState.velY = 0;
-
-                    top++;
-                    bottom = newState.bottomTile(this.height);
-
-                    collided = true;
-                    newState.collision = {x:0, y:-1};
-                    break;
+        } else if (!hitY && newState.velY < 0) {
+            // Rising up - kill our vertical velocity if we hit our head, checking each row our head passed into this frame.
+            const fromTop = Math.floor(fromY);
+            for (let row = Math.max(fromTop - 1, top); row >= top && !hitY; row--) {
+                let rowLeft = left, rowRight = right;
+                if (row > top) {
+                    const x = xAt((row + 1 - fromY) / (newState.y - fromY));
+                    rowLeft = Math.floor(x);
+                    rowRight = Math.ceil(x + this.width - 1);
+                }
+
+                for (let x = rowLeft; x <= rowRight; x++) {
+                    if(map.isSolid(x, row) && !map.isSolid(x, row + 1)) {
+                        newState.y = row + 1;
+                        newState.velY = 0;
+
+                        top = row + 1;
+                        bottom = newState.bottomTile(this.height);
+
+                        collided = hitY = true;
+                        newState.collision = {x:0, y:-1};
+                        break;
+                    }
                 }
             }
         }
 
+        // While we stand on a slope, our bottom corners dip into the blocks at its top.
+        // Those don't count as walls, so we can walk up off the slope onto them.
+        const ignoreBelow = newState.onSlope && newState.framesSinceGround === 0 ? newState.y + this.height - 0.5 : Infinity;
+
         if (newState.velX > 0) {
-            // Moving right - backtrack left if we hit a wall.
-            for (let y = top; y <= bottom; y++) {
-                if(map.isSolid(right, y)) {
-                    newState.x = right - this.width;
-                    newState.velX = 0;
-                    newState.facing *= -1;
-
-                    left = newState.leftTile();
-                    right--;
-
-                    collided = true;
-                    newState.collision = {x:1, y:0};
-                    break;
+            // Moving right - backtrack left if we hit a wall, checking each column we passed into this frame.
+            // (For columns before the last, check the rows we were level with when we got there)
+            const fromRight = Math.ceil(fromX + this.width - 1);
+            for (let column = Math.min(fromRight + 1, right); column <= right && !hitX; column++) {
+                let columnTop = top, columnBottom = bottom;
+                if (column < right) {
+                    const y = yAt((column - (fromX + this.width)) / (newState.x - fromX));
+                    columnTop = Math.floor(y);
+                    columnBottom = Math.ceil(y + this.height - 1);
+                }
+
+                for (let y = columnTop; y <= columnBottom; y++) {
+                    if(map.isSolid(column, y) && y < ignoreBelow) {
+                        newState.x = column - this.width;
+                        newState.velX = 0;
+                        newState.facing *= -1;
+
+                        left = newState.leftTile();
+                        right = column - 1;
+
+                        collided = hitX = true;
+                        newState.collision = {x:1, y:0};
+                        newState.wallContact = 1;
+                        break;
+                    }
                 }
             }
         } else if (newState.velX < 0) {
-            // Moving left - backtrack right if we hit a wall.
-            for (let y = top; y <= bottom; y++) {
-                if(map.isSolid(left, y)) {
-                    newState.x = left+1;
-                    newState.velX = 0;
-                    newState.facing *= -1;
-
-                    left++;
-                    right = newState.rightTile(this.width);
-
-                    collided = true;
-                    newState.collision = {x:-1, y:0};
-                    break;
+            // Moving left - backtrack right if we hit a wall, checking each column we passed into this frame.
+            const fromLeft = Math.floor(fromX);
+            for (let column = Math.max(fromLeft - 1, left); column >= left && !hitX; column--) {
+                let columnTop = top, columnBottom = bottom;
+                if (column > left) {
+                    const y = yAt((column + 1 - fromX) / (newState.x - fromX));
+                    columnTop = Math.floor(y);
+                    columnBottom = Math.ceil(y + this.height - 1);
+                }
+
+                for (let y = columnTop; y <= columnBottom; y++) {
+                    if(map.isSolid(column, y) && y < ignoreBelow) {
+                        newState.x = column + 1;
+                        newState.velX = 0;
+                        newState.facing *= -1;
+
+                        left = column + 1;
+                        right = newState.rightTile(this.width);
+
+                        collided = hitX = true;
+                        newState.collision = {x:-1, y:0};
+                        newState.wallContact = -1;
+                        break;
+                    }
                 }
             }
         }
 
-        // Report back the resulting bounds and whether or not we had to resolve a collision.
-        return {collided, left, right, top, bottom}
+        return {collided, left, right, top, bottom, hitX, hitY};
+    }
+
+    /**
+     * Puts the character's feet on a slope's surface, and counts them as landed there.
+     * @param {CharacterState} newState Character physics state to modify.
+     * @param {Number} surface Vertical coordinate of the slope's surface under the middle of the character.
+     */
+    #standOnSlope(newState, surface) {
+        newState.y = surface - this.height;
+        newState.land();
+        newState.onSlope = true;
+        newState.collision = {x:0, y:1};
     }
 }
\ No newline at end of file
@@ -0,0 +1,405 @@
+// Playable mode: lets a person run and jump through a generated level with a keyboard or gamepad,
+// using the very same character physics the pather used to lay the level out.
+// That way designers can feel whether a path is fun, not just whether it's possible.
+
+import { Tile, MapChunk, tileRegistry } from "./tilemap.js";
+import { CharacterState } from "./platformer.js";
+import { spawnEntities } from "./entities.js";
+
+/** @type {Object.<string, string[]>} Keyboard keys (KeyboardEvent.code values) for each action. */
+const KeyBindings = {
+    left: ["ArrowLeft", "KeyA"],
+    right: ["ArrowRight", "KeyD"],
+    up: ["ArrowUp", "KeyW"],
+    down: ["ArrowDown", "KeyS"],
+    jump: ["Space", "KeyZ"],
+    dash: ["ShiftLeft", "ShiftRight", "KeyX"],
+};
+
+/** @type {Number} Stick deflection below this is ignored, so a worn gamepad doesn't drift. */
+const STICK_DEAD_ZONE = 0.25;
+
+// Standard gamepad layout button indices. See https://w3c.github.io/gamepad/#remapping
+const GAMEPAD_JUMP_BUTTON = 0;
+const GAMEPAD_DASH_BUTTON = 2;
+const GAMEPAD_DPAD_UP = 12;
+const GAMEPAD_DPAD_DOWN = 13;
+const GAMEPAD_DPAD_LEFT = 14;
+const GAMEPAD_DPAD_RIGHT = 15;
+
+// Reads the player's keyboard and gamepad into the InputState format the CharacterController expects.
+// This is the only part of play mode that touches the browser, so the PlaySession itself can run headless.
+export class PlayerInput {
+    /** @type {boolean} While true, our keys don't scroll the page. Turn off when not playing.*/
+    active = true;
+
+    /** @type {Set<string>} Keys currently held down.*/
+    #held = new Set();
+
+    /** @type {EventTarget} Where we listen for key presses.*/
+    #target;
+
+    /**
+     * Start listening for input.
+     * @param {EventTarget} [target=window] Element or window to listen for key presses on.
+     */
+    constructor(target = window) {
+        this.#target = target;
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onKeyUp = this.onKeyUp.bind(this);
+        target.addEventListener("keydown", this.onKeyDown);
+        target.addEventListener("keyup", this.onKeyUp);
+    }
+
+    /**
+     * Stop listening for input.
+     */
+    dispose() {
+        this.#target.removeEventListener("keydown", this.onKeyDown);
+        this.#target.removeEventListener("keyup", this.onKeyUp);
+        this.#held.clear();
+    }
+
+    /**
+     * @param {KeyboardEvent} event
+     */
+    onKeyDown(event) {
+        if (!this.active) return;
+        if (Object.values(KeyBindings).some(keys => keys.includes(event.code))) {
+            // Stop the arrow keys and space bar from scrolling the page out from under the player.
+            event.preventDefault();
+            this.#held.add(event.code);
+        }
+    }
+
+    /**
+     * @param {KeyboardEvent} event
+     */
+    onKeyUp(event) {
+        this.#held.delete(event.code);
+    }
+
+    /**
+     * Checks whether any of the keys for an action are held.
+     * @param {string} action Name of an action in KeyBindings.
+     * @returns {boolean} True if the action's keys are pressed.
+     */
+    #isHeld(action) {
+        return KeyBindings[action].some(key => this.#held.has(key));
+    }
+
+    /**
+     * Samples the current input, combining the keyboard with the first connected gamepad.
+     * @returns {InputState} What the player is pressing right now.
+     */
+    read() {
+        let x = (this.#isHeld("right") ? 1 : 0) - (this.#isHeld("left") ? 1 : 0);
+        let y = (this.#isHeld("down") ? 1 : 0) - (this.#isHeld("up") ? 1 : 0);
+        let jump = this.#isHeld("jump");
+        let dash = this.#isHeld("dash");
+
+        const gamepads = typeof navigator !== "undefined" && navigator.getGamepads ? navigator.getGamepads() : [];
+        const pad = Array.from(gamepads).find(p => p && p.connected);
+        if (pad) {
+            const stick = pad.axes[0] ?? 0;
+            if (Math.abs(stick) > STICK_DEAD_ZONE) x = stick;
+            if (pad.buttons[GAMEPAD_DPAD_LEFT]?.pressed) x = -1;
+            if (pad.buttons[GAMEPAD_DPAD_RIGHT]?.pressed) x = 1;
+            const verticalStick = pad.axes[1] ?? 0;
+            if (Math.abs(verticalStick) > STICK_DEAD_ZONE) y = verticalStick;
+            if (pad.buttons[GAMEPAD_DPAD_UP]?.pressed) y = -1;
+            if (pad.buttons[GAMEPAD_DPAD_DOWN]?.pressed) y = 1;
+            jump ||= Boolean(pad.buttons[GAMEPAD_JUMP_BUTTON]?.pressed);
+            dash ||= Boolean(pad.buttons[GAMEPAD_DASH_BUTTON]?.pressed);
+        }
+
+        return { x: Math.max(-1, Math.min(x, 1)), y: Math.max(-1, Math.min(y, 1)), jump, dash };
+    }
+}
+
+/**
+ * How a play session is going.
+ * @typedef {"playing"|"won"|"dead"} PlayStatus
+ */
+
+// One run through a skinned level: tracks the player character and the enemies, follows the player with a camera,
+// and decides when the player has won or died.
+export class PlaySession {
+    /** @type {MapChunk} Level being played. This is left untouched, so it can be replayed from scratch.*/
+    map;
+
+    /** @type {MapChunk} This run's working copy of the level, with the entities lifted out of it.*/
+    level;
+
+    /** @type {Entity[]} Enemies and other moving things in this run.*/
+    entities = [];
+
+    /** @type {CharacterController} Physics and control parameters for the player character.*/
+    controller;
+
+    /** @type {CharacterState} Where the player character is now.*/
+    state;
+
+    /** @type {PlayStatus} Whether the run is still going, and if not, how it ended.*/
+    status = "playing";
+
+    /** @type {Number} Frames simulated since the run started.*/
+    frames = 0;
+
+    /** @type {Number} Points earned this run, from collectibles, ! Boxes and enemies (see TileDefinition.score).*/
+    score = 0;
+
+    /** @type {Number} How many collectibles (like coins) the player has picked up this run.*/
+    collected = 0;
+
+    /** @type {Number} How many tiles wide the camera's view is.*/
+    viewColumns = 20;
+
+    /** @type {Number} How high the player bounces after stomping an enemy, as a fraction of their jump speed.*/
+    stompBounce = 0.6;
+
+    /** @type {Number} How far the player's feet may already overlap an enemy and still count as stomping it, in tiles.*/
+    stompTolerance = 0.25;
+
+    /** @type {{x: Number, y: Number}} Top-left corner of the camera's view, in tile units.*/
+    camera = { x: 0, y: 0 };
+
+    /** @type {Number} Most real time, in seconds, that one call to advance will catch up on. Longer pauses are skipped.*/
+    maxCatchUp = 0.25;
+
+    /** @type {Number} Real time passed that hasn't been simulated yet, in seconds, because it's less than one physics step.*/
+    #accumulator = 0;
+
+    /**
+     * Start a new run through a level, with the player standing at the start sign.
+     * @param {MapChunk} map Skinned level to play. (See MapChunk.prepStartEnd for placing the start & goal)
+     * @param {CharacterController} controller Physics and control parameters for the player character.
+     */
+    constructor(map, controller) {
+        this.map = map;
+        this.controller = controller;
+        this.restart();
+    }
+
+    /**
+     * Puts the player back at the start of the level, and brings back any enemies they defeated.
+     */
+    restart() {
+        const { columns, rows } = this.map.getDimensions();
+        this.level = new MapChunk(columns, rows);
+        this.map.stampInto(this.level, 0, 0);
+        this.level.preDraw = this.map.preDraw;
+        this.level.printText = this.map.printText;
+        this.entities = spawnEntities(this.level);
+
+        const start = this.level.findTile(Tile.START_SIGN) ?? { x: 0, y: 0 };
+
+        // Stand the character on the floor of the start sign's cell, like the pather's starting state.
+        this.state = new CharacterState(start.x, start.y + 1 - this.controller.height);
+        this.state.framesOnGround = 1;
+        this.state.framesSinceGround = 0;
+        this.state.facing = 1;
+
+        this.status = "playing";
+        this.#accumulator = 0;
+        this.frames = 0;
+        this.score = 0;
+        this.collected = 0;
+    }
+
+    /**
+     * Advances the run by however much real time has passed, in as many fixed physics steps as fit in it.
+     * Time left over carries into the next call, so the game runs at the same speed whatever the display's refresh rate.
+     * @param {Number} seconds Real time passed since the last call.
+     * @param {InputState} input What the player is pressing now.
+     * @returns {Number} How many physics steps were simulated.
+     */
+    advance(seconds, input) {
+        // Don't try to catch up on a long pause (like the tab being in the background) all at once.
+        this.#accumulator += Math.min(Math.max(seconds, 0), this.maxCatchUp);
+
+        let steps = 0;
+        while (this.#accumulator >= this.controller.dt) {
+            this.#accumulator -= this.controller.dt;
+            this.update(input);
+            steps++;
+        }
+        return steps;
+    }
+
+    /**
+     * Advances the run by one frame of the character controller's physics.
+     * @param {InputState} input What the player is pressing this frame.
+     * @returns {PlayStatus} How the run stands after this frame.
+     */
+    update(input) {
+        if (this.status !== "playing") return this.status;
+
+        const { rows } = this.level.getDimensions();
+        const oldState = this.state;
+        const newState = this.controller.step(oldState, input);
+        const { left, right, top, bottom } = this.controller.handleCollision(newState, this.level);
+
+        // The map's sides are walls, so the player can't wander off the ends of the level.
+        this.controller.keepInMap(newState, this.level);
+
+        this.state = newState;
+        this.frames++;
+
+        // Hitting our head might have bumped a ! Box, and anything we're now touching might be collectible.
+        if (newState.collision?.y === -1) this.#bump(newState);
+        this.#collect(newState);
+
+        for (const entity of this.entities) {
+            if (entity.alive) entity.update(this.level, this.controller.dt);
+        }
+        this.#touchEnemies(oldState, newState);
+
+        // Falling out of the bottom of the map is fatal.
+        if (newState.y > rows) {
+            this.status = "dead";
+        } else if (this.status === "playing") {
+            // Touching the goal flag wins the level.
+            for (let x = left; x <= right && this.status === "playing"; x++) {
+                for (let y = top; y <= bottom; y++) {
+                    if (this.level.getTileAt(x, y) === Tile.GREEN_FLAG) {
+                        this.status = "won";
+                        break;
+                    }
+                }
+            }
+        }
+
+        return this.status;
+    }
+
+    /**
+     * Handles the player hitting their head on the underside of a tile. If it's bumpable (like a ! Box),
+     * it turns into its spent version and pops out its reward on top.
+     * @param {CharacterState} state Player state just after the collision, with their head against the tile.
+     */
+    #bump(state) {
+        const row = state.topTile() - 1;
+
+        // If our head spans two tiles, bump the one nearest our centre first. Only one tile is bumped per hit.
+        const centre = Math.floor(state.x + this.controller.width / 2);
+        const candidates = [centre];
+        for (let x = state.leftTile(); x <= state.rightTile(this.controller.width); x++) {
+            if (x !== centre) candidates.push(x);
+        }
+
+        for (const x of candidates) {
+            const definition = tileRegistry.get(this.level.getTileAt(x, row));
+            if (!definition.bumpedInto) continue;
+
+            this.level.place(definition.bumpedInto, x, row);
+            this.score += definition.score;
+            if (definition.bumpReward && !this.level.isSolid(x, row - 1))
+                this.level.place(definition.bumpReward, x, row - 1);
+            return;
+        }
+    }
+
+    /**
+     * Picks up any collectibles the player is touching.
+     * @param {CharacterState} state Player's current state.
+     */
+    #collect(state) {
+        const { width, height } = this.controller;
+        for (let x = state.leftTile(); x <= state.rightTile(width); x++) {
+            for (let y = state.topTile(); y <= state.bottomTile(height); y++) {
+                const definition = tileRegistry.get(this.level.getTileAt(x, y));
+                if (!definition.collectible) continue;
+
+                this.level.place(Tile.NONE, x, y);
+                this.collected++;
+                this.score += definition.score;
+            }
+        }
+    }
+
+    /**
+     * Resolves the player touching any enemies: landing on one from above stomps it and bounces the player,
+     * while bumping into one any other way is fatal.
+     * @param {CharacterState} oldState Where the player was last frame.
+     * @param {CharacterState} newState Where the player is now. Modified if they bounce.
+     */
+    #touchEnemies(oldState, newState) {
+        const { width, height } = this.controller;
+        const box = { x: newState.x, y: newState.y, width, height };
+
+        for (const enemy of this.entities) {
+            if (!enemy.alive || !enemy.overlaps(box)) continue;
+
+            // It's a stomp if we're coming down, and our feet were at (or only just past) the enemy's top last frame.
+            const wasAbove = oldState.y + height <= enemy.bounds().y + this.stompTolerance;
+            if ((oldState.velY > 0 || newState.velY > 0) && wasAbove) {
+                enemy.alive = false;
+                this.score += tileRegistry.get(enemy.tile).score;
+                newState.velY = this.controller.jumpVelocity * this.stompBounce;
+                newState.framesOnGround = 0;
+            } else {
+                this.status = "dead";
+                return;
+            }
+        }
+    }
+
+    /**
+     * Draws the part of the level around the player, with the enemies and the player on top.
+     * @param {CanvasRenderingContext2D} ctx Context to draw into. The whole canvas is used.
+     * @param {TileLibrary} tiles Library of tile images to use.
+     * @param {string} [tilesetName] Which of the library's tilesets to draw with.
+     */
+    draw(ctx, tiles, tilesetName) {
+        const { columns, rows } = this.level.getDimensions();
+        const { width, height } = ctx.canvas;
+        const tileset = tiles.getTileset(tilesetName);
+
+        // Zoom so the view is a fixed number of tiles across, in whole pixels per tile to match MapChunk.draw.
+        const pixelSize = Math.max(1, Math.floor(width / Math.min(this.viewColumns, columns)));
+        const viewColumns = width / pixelSize;
+        const viewRows = height / pixelSize;
+
+        // Centre the camera on the player, without showing anything past the edges of the map.
+        const centreX = this.state.x + this.controller.width / 2;
+        const centreY = this.state.y + this.controller.height / 2;
+        this.camera.x = clampView(centreX - viewColumns / 2, viewColumns, columns);
+        this.camera.y = clampView(centreY - viewRows / 2, viewRows, rows);
+
+        // Draw the whole map at our zoom level, shifted so the camera's view lands on the canvas.
+        const left = Math.round(-this.camera.x * pixelSize);
+        const top = Math.round(-this.camera.y * pixelSize);
+        this.level.draw(ctx, tiles, { x: left, y: top, width: columns * pixelSize, height: rows * pixelSize }, tilesetName);
+
+        // Then draw the enemies and the player on top.
+        const drawSprite = (tile, x, y, facing) => {
+            ctx.save();
+            ctx.resetTransform();
+            ctx.translate(left + x * pixelSize, top + y * pixelSize);
+            // Mirror sprites when they're facing left.
+            if (facing < 0) {
+                ctx.translate(pixelSize, 0);
+                ctx.scale(-1, 1);
+            }
+            tileset.drawTile(ctx, tile, 0, 0, pixelSize / tileset.tileSize);
+            ctx.restore();
+        };
+        for (const entity of this.entities) {
+            if (entity.alive) drawSprite(entity.tile, entity.x, entity.y, entity.facing);
+        }
+        drawSprite(Tile.PLAYER_STAND, this.state.x, this.state.y, this.state.facing);
+    }
+}
+
+/**
+ * Keeps a camera's view within the map, or centres the map if it's smaller than the view.
+ * @param {Number} start Desired top or left edge of the view, in tiles.
+ * @param {Number} viewSize Size of the view along this axis, in tiles.
+ * @param {Number} mapSize Size of the map along this axis, in tiles.
+ * @returns {Number} The adjusted top or left edge of the view.
+ */
+function clampView(start, viewSize, mapSize) {
+    if (viewSize >= mapSize) return (mapSize - viewSize) / 2;
+    return Math.max(0, Math.min(start, mapSize - viewSize));
+}
@@ -0,0 +1,67 @@
+// Class for generating reproducible streams of pseudo-random numbers from a seed,
+// so the same seed and parameters always give the same generated content.
+export class Random {
+    /** @type {Number} The 32-bit seed this generator started from. */
+    seed;
+
+    /** @type {Number} Internal state of the generator, advanced every time we draw a number. */
+    #state;
+
+    /**
+     * Create a new random number generator.
+     * @param {Number} [seed] 32-bit integer seed. If absent, a fresh seed is chosen using Math.random().
+     */
+    constructor(seed) {
+        if (seed === undefined || seed === null) seed = Random.randomSeed();
+        this.seed = seed >>> 0;
+        this.#state = this.seed;
+    }
+
+    /**
+     * Pick an arbitrary seed, for when we don't care which level we get but still want to be able to reproduce it.
+     * @returns {Number} A 32-bit unsigned integer seed.
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Draw the next number from the stream. Drop-in replacement for Math.random().
+     * Uses the Mulberry32 algorithm: small and fast, with good enough statistics for level generation.
+     * @returns {Number} A pseudo-random number in the range [0, 1).
+     */
+    value() {
+        let t = this.#state = (this.#state + 0x6D2B79F5) >>> 0;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * Roll for an event with the given probability.
+     * @param {Number} probability Chance of returning true, from 0 (never) to 1 (always).
+     * @returns {boolean} True if the event happened.
+     */
+    chance(probability) {
+        return this.value() < probability;
+    }
+
+    /**
+     * Pick a whole number between min and max, inclusive.
+     * @param {Number} min Smallest value to return.
+     * @param {Number} max Largest value to return.
+     * @returns {Number} An integer in the range [min, max].
+     */
+    integer(min, max) {
+        return min + Math.floor(this.value() * (max - min + 1));
+    }
+
+    /**
+     * Draw a seed for a child generator. Used to give each independent attempt its own sub-seed,
+     * so a single attempt can be reproduced without replaying all the attempts before it.
+     * @returns {Number} A 32-bit unsigned integer seed.
+     */
+    nextSeed() {
+        return Math.floor(this.value() * 0x100000000) >>> 0;
+    }
+}
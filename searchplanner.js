@@ -0,0 +1,321 @@
+import { MapChunk, tileRegistry } from "./tilemap.js";
+import { CharacterState } from "./platformer.js";
+import { Pather, PLAYER_RESERVATION, SOLID_RESERVATION } from "./pather.js";
+
+/**
+ * One move of the search: run along the ground for a while, then jump and land somewhere.
+ * @typedef {Object} SearchMove
+ * @property {Number} runFrames How many frames to run for before jumping.
+ * @property {Number} direction Which way to run and jump (-1 = left, 1 = right).
+ * @property {Number} landRow Row we'd like to put a floor in to land on, once we're falling.
+ * @property {Number} jumpHoldFrames How many frames to hold the jump button for (see Pather.planJumpHold).
+ */
+
+/**
+ * A partial path the search is considering, ending with the character standing on the ground.
+ * @typedef {Object} SearchNode
+ * @property {CharacterState} state Where the character is at the end of this partial path.
+ * @property {MapChunk} map Reservations made along the way to here.
+ * @property {CharacterState[]} states Frames of the last move, leading up to state. (Earlier moves are in the parents)
+ * @property {SearchNode|null} parent Partial path this one carried on from.
+ * @property {Number} frames How many frames the whole partial path takes.
+ * @property {Number} waypointsReached How many of the map's waypoints the partial path has passed through, in order.
+ */
+
+// Path planner that searches toward the goal, rather than wandering and hoping to get there.
+// Where the Pather takes a random walk and starts over from scratch if it goes wrong, this keeps a "beam"
+// of the most promising partial paths, tries a handful of random moves from each one (run, jump, then land),
+// and carries on from the best of the results - the ones that look like they'll reach the right edge soonest.
+// Moves are simulated with the same character physics, and reserve tiles the same way as the Pather,
+// so the skinner can dress its paths just the same, and they replay on the finished map just as the Pather's do.
+// It shares the Pather's timing, height variance and short hop parameters, but leaves out the extras
+// like slopes, ladders, one-way platforms and walls.
+// Designer waypoints fit right in: the search just scores partial paths by how soon they'd get through
+// the remaining waypoints and then to the right edge, and moves that stray into a keep-out region are thrown out.
+export class SearchPlanner extends Pather {
+    /** @type {Number} How many of the most promising partial paths to keep at each step of the search.*/
+    beamWidth = 12;
+
+    /** @type {Number} How many random moves to try from each partial path we keep.*/
+    movesPerStep = 6;
+
+    /**
+     * @type {Number} Most random variation to add to each partial path's score, in seconds.
+     * Without it, the same map would always give the same most-direct path - this keeps some personality in them.
+    */
+    scoreJitter = 1;
+
+    /**
+     * Searches, just once, for a path from the left side of the map to the right.
+     * The path visits the map's waypoints in order on the way, and keeps out of its keep-out regions (See MapChunk.constraints)
+     * @param {MapChunk} map Map to use for dimensions and bookkeeping information. Can contain pre-placed content.
+     * @param {Random} random Source of random numbers for this attempt. The same seed always gives the same path.
+     * @returns {CharacterState[]|null} Complete frame-by-frame history of the successful path through the level.
+     * If there isn't one, the failure field says which constraint the search couldn't meet.
+     */
+    attemptPath(map, random) {
+        const { columns, rows } = map.getDimensions();
+        const dt = this.controller.dt;
+
+        // Use the same limits as the random walk: find ground before the bottom row, and don't jump out the top.
+        const fallLimit = rows - 2;
+        const jumpLimit = this.controller.jumpHeight;
+
+        // Start standing at a random height on the left side of the map, just like the random walk.
+        const state = new CharacterState(
+            0,
+            jumpLimit + Math.floor(random.value() * (fallLimit - jumpLimit)) + 1 - this.controller.height
+        );
+        state.framesOnGround = 1;
+        state.facing = 1;
+
+        const start = new MapChunk(columns, rows);
+        map.stampInto(start, 0, 0);
+        start.constraints = map.constraints;
+        {
+            const bottom = state.bottomTile(this.controller.height);
+            start.place(SOLID_RESERVATION, 0, bottom + 1);
+            start.place(PLAYER_RESERVATION, 0, bottom);
+        }
+
+        // Give up on any partial path that takes longer than the random walk's time budget.
+        const ticksBudget = 100/dt;
+
+        /** @type {SearchNode} */
+        const root = { state, map: start, states: [state], parent: null, frames: 0, waypointsReached: 0 };
+        let beam = [root];
+        let furthest = root;
+
+        // Count up why moves get thrown out, in case the search runs dry and we need to say why:
+        // jumping from above the ceiling, running out of time, getting stuck, or straying into each keep-out region.
+        const { waypoints, keepOut } = map.constraints;
+        const rejected = { ceiling: 0, timeout: 0, stuck: 0, keepOut: keepOut.map(() => 0) };
+
+        while (beam.length > 0) {
+            const candidates = [];
+            for (const node of beam) {
+                for (let i = 0; i < this.movesPerStep; i++) {
+                    const move = this.#randomMove(node, jumpLimit, fallLimit, random, waypoints);
+                    const child = this.#simulate(node, move, jumpLimit, fallLimit, columns, rejected);
+                    if (!child) continue;
+                    if (child.frames > ticksBudget) {
+                        rejected.timeout++;
+                        continue;
+                    }
+
+                    // If this move got us to the right edge, we're done! Keep the reservations we made on the way.
+                    if (child.done) {
+                        child.map.stampInto(map, 0, 0);
+                        return this.#history(child);
+                    }
+                    candidates.push(child);
+                    if (child.waypointsReached > furthest.waypointsReached
+                        || (child.waypointsReached === furthest.waypointsReached && child.state.x > furthest.state.x)) furthest = child;
+                }
+            }
+
+            // Score each partial path by how long it's taken, plus how long it would take to run the rest of the way.
+            // Keep only the best one ending in each tile, so the beam doesn't fill up with near-copies of one path.
+            // (Paths through different numbers of waypoints aren't near-copies, even ending in the same tile)
+            const bestInTile = new Map();
+            for (const child of candidates) {
+                const remaining = this.#remainingDistance(child, waypoints, columns) / this.controller.runSpeed;
+                child.score = child.frames * dt + remaining + random.value() * this.scoreJitter;
+
+                const key = `${Math.floor(child.state.x)},${Math.floor(child.state.y)},${child.waypointsReached}`;
+                if (!bestInTile.has(key) || bestInTile.get(key).score > child.score) bestInTile.set(key, child);
+            }
+            beam = [...bestInTile.values()].sort((a, b) => a.score - b.score).slice(0, this.beamWidth);
+        }
+
+        // Search ran dry. Show the partial path that got furthest, and its reservations,
+        // and blame the keep-out region that turned away the most moves, if any did.
+        furthest.map.stampInto(map, 0, 0);
+        this.lastAttempt = this.#history(furthest);
+        const keptOut = rejected.keepOut;
+        const worst = keptOut.reduce((best, count, index) => count > 0 && (best < 0 || count > keptOut[best]) ? index : best, -1);
+        this.failure = this.describeFailure(map, furthest.waypointsReached, worst);
+
+        // As for how it ran dry, go with whatever threw out the most moves.
+        const reasons = { ...rejected, keepOut: keptOut.reduce((sum, count) => sum + count, 0) };
+        this.lastOutcome = Object.keys(reasons).reduce((most, reason) => reasons[reason] > reasons[most] ? reason : most, "stuck");
+        return null;
+    }
+
+    /**
+     * Estimates how far a partial path still has to go: through each waypoint it hasn't reached yet, in a straight line,
+     * then across to the right edge.
+     * @param {SearchNode} node Partial path to measure from.
+     * @param {{x: Number, y: Number}[]} waypoints The map's waypoints.
+     * @param {Number} columns Width of the map.
+     * @returns {Number} Distance left, in tiles.
+     */
+    #remainingDistance(node, waypoints, columns) {
+        let x = node.state.x;
+        let y = node.state.y;
+        let distance = 0;
+        for (const waypoint of waypoints.slice(node.waypointsReached)) {
+            distance += Math.hypot(waypoint.x - x, waypoint.y - y);
+            ({ x, y } = waypoint);
+        }
+        return distance + (columns - 1 - x);
+    }
+
+    /**
+     * Picks a random move to try next: how long to run before jumping, and how high or low to land.
+     * @param {SearchNode} node Partial path to move on from.
+     * @param {Number} jumpLimit Ceiling row above which we mustn't jump.
+     * @param {Number} fallLimit Lowest row we may land in.
+     * @param {Random} random Source of random numbers for this attempt.
+     * @param {{x: Number, y: Number}[]} waypoints The map's waypoints, to head toward the next of.
+     * @returns {SearchMove} The move to try.
+     */
+    #randomMove(node, jumpLimit, fallLimit, random, waypoints) {
+        const dt = this.controller.dt;
+        const ground = Math.round(node.state.y + this.controller.height);
+
+        // Run for about as long as the random walk stays on a platform. (And a good bit longer from the start,
+        // so the starting platform isn't just one tile)
+        let min = Math.round(this.minSecondsOnPlatform/dt);
+        let max = Math.max(min, Math.round(this.maxSecondsOnPlatform/dt));
+        if (!node.parent) min = max;
+        const runFrames = random.integer(min, max);
+
+        // Land up to a jump's height above or below where we started, scaled down by the height variance,
+        // but never higher than we can actually jump. (Squared, just like the random walk, for a more useful slider range)
+        const hv = this.heightVariance * this.heightVariance;
+        const spread = Math.min(Math.round(hv * this.controller.jumpHeight), Math.floor(this.controller.jumpHeight - 0.5));
+        // If we've a waypoint to get to, only land at heights that take us closer to its row.
+        const rise = Math.max(0, Math.min(spread, Math.floor(ground - 1 - jumpLimit)));
+        const waypoint = waypoints[node.waypointsReached];
+        const above = waypoint && waypoint.y < ground - this.controller.height;
+        const below = waypoint && waypoint.y > ground - 1;
+        const landRow = Math.min(ground + random.integer(below ? 0 : -rise, above ? 0 : spread), fallLimit + 1);
+
+        // Only occasionally double back. (Heading right, or toward our next waypoint)
+        const forward = waypoint ? Math.sign(waypoint.x + 0.5 - (node.state.x + this.controller.width / 2)) || 1 : 1;
+        const direction = random.chance(this.backtrackProbability / 4) ? -forward : forward;
+
+        // Decide now how long we'll hold the jump button for.
+        const plan = node.state.clone();
+        this.planJumpHold(plan, random);
+
+        return { runFrames, direction, landRow, jumpHoldFrames: plan.jumpHoldFrames };
+    }
+
+    /**
+     * Plays out a move frame by frame, reserving the tiles it needs in a copy of the partial path's map.
+     * @param {SearchNode} node Partial path to move on from.
+     * @param {SearchMove} move Move to make.
+     * @param {Number} jumpLimit Ceiling row above which we mustn't jump.
+     * @param {Number} fallLimit Lowest row we may land in.
+     * @param {Number} columns Width of the map.
+     * @param {{ceiling: Number, stuck: Number, keepOut: Number[]}} rejected Counts of moves that didn't work out, by reason,
+     * to add to. (keepOut counts separately for each keep-out region)
+     * @returns {(SearchNode & {done: boolean})|null} The longer partial path, or null if the move didn't work out.
+     */
+    #simulate(node, move, jumpLimit, fallLimit, columns, rejected) {
+        const { rows } = node.map.getDimensions();
+        const map = new MapChunk(columns, rows);
+        node.map.stampInto(map, 0, 0);
+        map.constraints = node.map.constraints;
+        const { waypoints } = map.constraints;
+
+        const states = [];
+        let state = node.state;
+        let jumped = false;
+        let waypointsReached = node.waypointsReached;
+
+        // Give up on a move that's stuck (say, running into a wall) rather than simulating it forever.
+        const frameLimit = move.runFrames + Math.round(5 / this.controller.dt);
+        for (let frame = 0; frame < frameLimit; frame++) {
+            // Run until it's time to jump, then hold jump as long as we planned to.
+            const running = frame < move.runFrames;
+            const input = { x: move.direction, jump: false };
+            if (!running) {
+                if (!jumped) {
+                    if (state.y < jumpLimit) {
+                        rejected.ceiling++;
+                        return null;
+                    }
+                    input.jump = jumped = true;
+                } else {
+                    input.jump = state.jumpHeld && state.framesSinceJump < move.jumpHoldFrames;
+                }
+            }
+
+            const newState = this.controller.step(state, input);
+            newState.input = input;
+            newState.jumpHoldFrames = move.jumpHoldFrames;
+            let { left, right, top, bottom } = this.controller.handleCollision(newState, map);
+
+            // Put down a floor when we run off an edge, or when our jump comes down to the row we want to land in.
+            // (Or if we're about to fall out of the bottom of the map, wherever we are)
+            // Like the random walk, only ever in the row our feet dropped into this frame, so the physics can play it back.
+            if (newState.isFalling() && (running || bottom >= move.landRow || bottom > fallLimit)) {
+                let floorPlaced = false;
+                const fromAbove = newState.prevY + this.controller.height <= bottom + 0.001;
+                for (let x = left; x <= right; x++) {
+                    if (map.isLocked(x, bottom)) continue;
+                    if (bottom > fallLimit || (fromAbove && map.getTileAt(x, bottom) !== PLAYER_RESERVATION)) {
+                        map.place(SOLID_RESERVATION, x, bottom);
+                        floorPlaced = true;
+                    }
+                }
+                if (floorPlaced) {
+                    // (Keeping any wall we'd already hit, as the random walk does)
+                    const { collision } = newState;
+                    ({ left, right, top, bottom } = this.controller.handleCollision(newState, map));
+                    if (collision?.x) newState.collision = collision;
+                } else if (running) {
+                    rejected.stuck++;
+                    return null;
+                }
+            }
+
+            // Reserve the space we pass through, just like the random walk.
+            for (let x = left; x <= right; x++) {
+                for (let y = top; y <= bottom; y++) {
+                    if (!tileRegistry.get(map.getTileAt(x, y)).solid && !map.isLocked(x, y)) map.place(PLAYER_RESERVATION, x, y);
+                }
+            }
+
+            // Throw out moves that stray into a keep-out region, and tick off waypoints as we touch them.
+            for (let x = left; x <= right; x++) {
+                for (let y = top; y <= bottom; y++) {
+                    const index = map.keepOutAt(x, y);
+                    if (index >= 0) {
+                        rejected.keepOut[index]++;
+                        return null;
+                    }
+                }
+            }
+            while (waypointsReached < waypoints.length && Pather.touches(waypoints[waypointsReached], left, right, top, bottom))
+                waypointsReached++;
+
+            state = newState;
+            states.push(state);
+
+            // Reaching the ground in the rightmost column, with every waypoint visited, finishes the path.
+            // Otherwise, a move ends when the jump lands.
+            const frames = node.frames + states.length;
+            if (state.x >= columns - 1 && state.isOnGround() && waypointsReached === waypoints.length)
+                return { state, map, states, parent: node, frames, waypointsReached, done: true };
+            if (jumped && state.isOnGround() && state.framesSinceJump > 1)
+                return { state, map, states, parent: node, frames, waypointsReached, done: false };
+        }
+        rejected.stuck++;
+        return null;
+    }
+
+    /**
+     * Strings together the frames of every move along a partial path.
+     * @param {SearchNode} node Last node of the path.
+     * @returns {CharacterState[]} Frame-by-frame history from the starting state.
+     */
+    #history(node) {
+        const chain = [];
+        for (let n = node; n; n = n.parent) chain.push(n.states);
+        return chain.reverse().flat();
+    }
+}
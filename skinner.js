@@ -1,5 +1,18 @@
+import { MapChunk, Tile, tileRegistry } from "./tilemap.js";
+import { LADDER_RESERVATION, ONE_WAY_RESERVATION, PLAYER_RESERVATION, SOLID_RESERVATION, WALL_RESERVATION } from "./pather.js";
+import { Random } from "./random.js";
+
+/**
+ * A frame of the path that plays out differently on the skinned level than it did when it was planned.
+ * @typedef {Object} TraversalProblem
+ * @property {Number} frame Index of the frame in the path.
+ * @property {Point} expected Where the path had the character at the end of this frame (top-left corner, in tile units).
+ * @property {Point} actual Where the skinned level's collisions put the character instead.
+ * @property {boolean} blocked True if the character bumped into something on the skinned level that the path didn't.
+ */
+
 // Class for converting path annotations into tile geometry.
-class MapSkinner {
+export class MapSkinner {
 
     /** @type {Number} Chance to extent a platform left or right to make it wider.*/
     platformExtendProbability = 1;
@@ -13,15 +26,236 @@ class MapSkinner {
     /** @type {Number} Chance to place an enemy wherever it can stand and be stomped.*/
     enemyProbability = 0.3;
 
+    /** @type {Number} Chance to smooth a one-tile step in the ground into a slope.*/
+    slopeProbability = 0.5;
+
+    /** @type {Number} Chance that a slope we smooth a step into is gentle (spread over two tiles) rather than steep.*/
+    gentleSlopeProbability = 0.5;
+
+    /**
+     * @type {Theme|ThemeBand[]|null} Biome theme to dress levels in (see themes.js), or a list of themes
+     * for successive stretches of the level, sorted by starting column. Null to use the tile registry's skin roles.
+     */
+    theme = null;
+
+    /** @type {Point[]} Cells the last skinMap call put back the way the path planned them, because they got in the path's way.*/
+    rolledBack = [];
+
+    /**
+     * @type {TraversalProblem[]} Frames of the last skinned path that the skinning made replay differently, and rolling back
+     * couldn't put right. Frames that already went differently on the plan are left out - those are in planProblems.
+    */
+    traversalProblems = [];
+
+    /**
+     * @type {TraversalProblem[]} Frames of the last skinned path that didn't replay the same way on the plan itself, before
+     * any skinning. These would be the pather's doing, not ours, and it plans so there aren't any. (See Pather)
+    */
+    planProblems = [];
+
+    /**
+     * Finds which theme applies to a given column of the level.
+     * @param {Number} x Horizontal coordinate (0 is the leftmost column).
+     * @returns {Theme|null} The theme for this column, or null if there is none.
+     */
+    themeAt(x) {
+        if (!Array.isArray(this.theme)) return this.theme;
+
+        // Take the last band starting at or before this column. Columns before the first band use the first theme.
+        let theme = this.theme[0]?.theme ?? null;
+        for (const band of this.theme) {
+            if (band.fromColumn <= x) theme = band.theme;
+        }
+        return theme;
+    }
+
+    /**
+     * Looks up one of our probabilities, letting the theme override it.
+     * @param {string} name Name of the probability property, like "enemyProbability".
+     * @param {Theme|null} theme Theme in effect where we're placing.
+     * @returns {Number} The probability to use.
+     */
+    probability(name, theme) {
+        return theme?.probabilities?.[name] ?? this[name];
+    }
+
+    /**
+     * Chooses a tile to place in the given role, from the theme's tiles for that role if it has any,
+     * or otherwise from all the tiles the registry allows in that role.
+     * @param {string} role Skin role to fill, like "enemy" (see TileDefinition.skinRole).
+     * @param {Random} random Source of random numbers, for choosing between several candidates.
+     * @param {Theme|null} [theme] Theme in effect where we're placing.
+     * @returns {Symbol|string} Tile to place.
+     */
+    pickTile(role, random, theme = null) {
+        const candidates = theme?.[role]?.map(({ tile, weight }) => ({ tile, weight: weight ?? 1 }))
+            ?? tileRegistry.withRole(role).map(tile => ({ tile, weight: tileRegistry.get(tile).skinWeight }));
+        if (candidates.length === 0)
+            throw new Error(`No tiles are defined with the skin role "${role}".`);
+
+        // Only roll when there's a real choice, so a role with a single tile doesn't shift every later random decision.
+        if (candidates.length === 1) return candidates[0].tile;
+
+        // Otherwise, pick one with probability proportional to its weight.
+        let totalWeight = 0;
+        for (const candidate of candidates) totalWeight += candidate.weight;
+        let roll = random.value() * totalWeight;
+        for (const candidate of candidates) {
+            roll -= candidate.weight;
+            if (roll < 0) return candidate.tile;
+        }
+        return candidates[candidates.length - 1].tile;
+    }
+
+    /**
+     * Turns one-tile steps up or down in the ground into slopes, filling the corner of the step with a 45° slope,
+     * or cutting into the higher ground too for a gentle slope over two tiles. Only steps with nothing placed in the
+     * corner are smoothed, and never ones the path jumped up through, since a slope there could clip the jump.
+     * @param {MapChunk} map Map with its terrain built, and the path's reservations still present.
+     * @param {CharacterState[]} path History of character movement.
+     * @param {CharacterController} controller Character parameters (used for the size of the character).
+     * @param {Random} random Source of random numbers.
+     */
+    smoothSteps(map, path, controller, random) {
+        const {columns, rows} = map.getDimensions();
+
+        // Find every cell the character passed through on the way up.
+        const rising = new Set();
+        for (const state of path) {
+            if (state.velY >= 0) continue;
+            for (let x = state.leftTile(); x <= state.rightTile(controller.width); x++) {
+                for (let y = state.topTile(); y <= state.bottomTile(controller.height); y++) rising.add(`${x},${y}`);
+            }
+        }
+
+        const isOpen = (x, y) => {
+            const tile = map.getTileAt(x, y);
+            return tile === Tile.NONE || tile === PLAYER_RESERVATION;
+        };
+
+        // Check each pair of neighbouring columns (leaving the start and goal columns alone) for ground one tile apart.
+        for (let x = 1; x < columns - 2; x++) {
+            for (let y = 1; y < rows - 1; y++) {
+                // Which side is higher? The step's corner is the open cell on the lower side, level with the higher ground.
+                let upper, corner;
+                if (map.isSolid(x, y) && isOpen(x + 1, y)) {
+                    upper = x; corner = x + 1;
+                } else if (map.isSolid(x + 1, y) && isOpen(x, y)) {
+                    upper = x + 1; corner = x;
+                } else continue;
+
+                if (map.isSolid(upper, y - 1) || !map.isSolid(corner, y + 1) || map.isSolid(corner, y - 1)
+                    || rising.has(`${corner},${y}`)) continue;
+
+                // (Skip the roll entirely where slopes are turned off, so they don't shift every later random decision)
+                const theme = this.themeAt(corner);
+                const chance = this.probability("slopeProbability", theme);
+                if (chance <= 0 || !random.chance(chance)) continue;
+
+                const risesRight = upper > corner;
+                const beyond = upper + (upper - corner);
+
+                // A gentle slope cuts into the higher ground, so it needs that ground to carry on past it and be supported
+                // underneath, with nothing sitting on top of it.
+                if (isOpen(upper, y - 1) && map.isSolid(upper, y + 1) && map.isSolid(beyond, y) && !map.isSolid(beyond, y - 1)
+                    && random.chance(this.probability("gentleSlopeProbability", theme))) {
+                    map.place(risesRight ? Tile.GENTLE_SLOPE_UP_LOW : Tile.GENTLE_SLOPE_DOWN_LOW, corner, y);
+                    map.place(risesRight ? Tile.GENTLE_SLOPE_UP_HIGH : Tile.GENTLE_SLOPE_DOWN_HIGH, upper, y);
+                } else {
+                    map.place(risesRight ? Tile.SLOPE_UP : Tile.SLOPE_DOWN, corner, y);
+                }
+            }
+        }
+    }
+
+    /**
+     * Replays a path through the character physics on a map, one frame at a time, checking each frame still ends up
+     * where it did when the path was planned. Each frame starts from the recorded state before it, so one problem
+     * doesn't throw off every frame after it. Frames without a recorded input (see CharacterState.input) are skipped.
+     * @param {MapChunk} map Map to replay the path on.
+     * @param {CharacterState[]} path History of character movement, with the inputs that produced it.
+     * @param {CharacterController} controller Character physics the path was planned with.
+     * @returns {TraversalProblem[]} Every frame that played out differently, in order.
+     */
+    checkTraversal(map, path, controller) {
+        const problems = [];
+        for (let i = 1; i < path.length; i++) {
+            const recorded = path[i];
+            if (!recorded.input) continue;
+
+            const replayed = controller.step(path[i - 1], recorded.input);
+            controller.handleCollision(replayed, map);
+
+            // The physics is deterministic, so on an unchanged map the replay matches to the last bit.
+            // Allow a hair of difference anyway, since the pather sometimes resolves a collision in two goes.
+            const drift = Math.max(Math.abs(replayed.x - recorded.x), Math.abs(replayed.y - recorded.y));
+            const blocked = Boolean(replayed.collision)
+                && (replayed.collision.x !== recorded.collision?.x || replayed.collision.y !== recorded.collision?.y);
+            if (drift > 0.001 || blocked) {
+                problems.push({
+                    frame: i,
+                    expected: { x: recorded.x, y: recorded.y },
+                    actual: { x: replayed.x, y: replayed.y },
+                    blocked,
+                });
+            }
+        }
+        return problems;
+    }
+
+    /**
+     * Puts back the planned contents of any cell around a problem frame that the skinning changed the collision of.
+     * @param {MapChunk} map Skinned map to fix.
+     * @param {MapChunk} planned Copy of the map as the pather left it, before skinning.
+     * @param {CharacterState[]} path History of character movement.
+     * @param {TraversalProblem} problem Frame that didn't replay the same way.
+     * @param {CharacterController} controller Character parameters (used for the size of the character).
+     * @returns {Point[]} Cells that were put back.
+     */
+    #rollBack(map, planned, path, problem, controller) {
+        // Only the cells around where the character went this frame can have made a difference -
+        // where it started, where it should have got to, and where it got to instead. That takes in a tile more
+        // on every side than the character covered, since it collides with the cells it's touching: the floor
+        // it lands on, the wall that stops it, and the ceiling it bumps.
+        const corners = [path[problem.frame - 1], problem.expected, problem.actual];
+        const left = Math.floor(Math.min(...corners.map(p => p.x))) - 1;
+        const right = Math.ceil(Math.max(...corners.map(p => p.x)) + controller.width - 1) + 1;
+        const top = Math.floor(Math.min(...corners.map(p => p.y))) - 1;
+        const bottom = Math.ceil(Math.max(...corners.map(p => p.y)) + controller.height - 1) + 1;
+
+        // Decorations like coins and enemies don't collide, so only tiles that block or catch the character count.
+        const collisionOf = (tile) => {
+            const { solid, oneWay, climbable, slope } = tileRegistry.get(tile);
+            return `${solid},${oneWay},${climbable},${slope?.left},${slope?.right}`;
+        };
+
+        const restored = [];
+        for (let x = left; x <= right; x++) {
+            for (let y = top; y <= bottom; y++) {
+                const tile = map.getTileAt(x, y);
+                const plan = planned.getTileAt(x, y);
+                if (collisionOf(tile) === collisionOf(plan)) continue;
+                map.place(plan, x, y);
+                restored.push({ x, y });
+            }
+        }
+        return restored;
+    }
+
     /**
      * Populates a map with tiles, given a path annotaton and character info.
      * @param {MapChunk} map Map annotated with path reservations.
      * @param {CharacterState[]} path History of character movement (used to place coins on jump arcs).
      * @param {CharacterController} controller Character parameters (used for jump height / height clearance).
+     * @param {Random} [random] Source of random numbers. The same seed and path always give the same skinned level.
      */
-    skinMap(map, path, controller) {
+    skinMap(map, path, controller, random = new Random()) {
         const {columns, rows} = map.getDimensions();
 
+        // Keep a copy of the plan, so we can put back anything we build that turns out to get in the path's way.
+        const planned = new MapChunk(columns, rows);
+        map.stampInto(planned, 0, 0);
+
         /** @type {Number[]} How far to the left was the last enemy we placed in this row?*/ 
         const columnsSinceEnemy = [];
         for(let i = 0; i < rows; i++) {
@@ -34,11 +268,21 @@ class MapSkinner {
         /** @type {Number[]} Row index of the bottom row with no bookkeeping annotations below it, in this column.*/
         let clearBelow = [];
 
+        // Use one kind of terrain for each theme in the map, so platforms look consistent.
+        const terrainByTheme = new Map();
+        const terrainAt = (x) => {
+            const theme = this.themeAt(x);
+            if (!terrainByTheme.has(theme)) terrainByTheme.set(theme, this.pickTile("terrain", random, theme));
+            return terrainByTheme.get(theme);
+        };
+
         // How high should ! Boxes be placed above the ground, so we can still jump to hit them?
         const powerupHeight = Math.round(controller.jumpHeight + controller.height);
 
         // Iterate over the map left to right...
         for(let x = 0; x < columns; x++) {
+            const theme = this.themeAt(x);
+            const terrain = terrainAt(x);
 
             // Track whether we've found some book-keeping annotation, 
             // and how far we are above the nearest floor.
@@ -56,19 +300,31 @@ class MapSkinner {
                     // If the tile is solid, build a platform. 
                     // If this is the first thing we found in the column, it can be a plateau reaching to the bottom of the map.
                     let bottom = foundContent ? y : rows-1;
-                    map.fill(Tile.SOLID, x, y, x, bottom);
+                    map.fill(terrain, x, y, x, bottom);
                     // Record the presence of this floor.
                     tilesFromFloor = 0;
                     solids.push({x, y});
-                } else {
-                    // If this is not solid, then maybe we'll put something here.
+                } else if (tile === ONE_WAY_RESERVATION) {
+                    // One-way floors stay thin, so the path can still jump up through them. They're floors all the same,
+                    // so things can be placed on top of them, but they never become plateaus or get extended.
+                    map.place(this.pickTile("oneWay", random, theme), x, y);
+                    tilesFromFloor = 0;
+                } else if (tile === LADDER_RESERVATION) {
+                    // Climbs get a ladder, all the way up.
+                    map.place(this.pickTile("ladder", random, theme), x, y);
+                } else if (tile === WALL_RESERVATION) {
+                    // Walls the path wall jumps off have to be built exactly where they were planned, just one tile thick,
+                    // so they don't count as floors or get extended like platforms.
+                    map.place(terrain, x, y);
+                } else if (tile === Tile.NONE || tile === PLAYER_RESERVATION) {
+                    // If this is open space, then maybe we'll put something here. (Slopes the path planned stay as they are)
                     // We'll skip tiles with no floor under them, or that are very close to the start/end of the map.
                     if (tilesFromFloor > -1 && x > 2 && x < columns-2) { 
                         // Tiles I don't need to jump through, and that are at the right height,
                         // are eligible to become ! Boxes.
                         if(tilesFromFloor === powerupHeight && tile !== PLAYER_RESERVATION
-                            && Math.random() < this.powerUpProbability) {                            
-                                map.place(Tile.EXCLAMATION_BOX, x, y);
+                            && random.chance(this.probability("powerUpProbability", theme))) {
+                                map.place(this.pickTile("powerUp", random, theme), x, y);
 
                         // Tiles immediately above a floor can be coins or enemies.
                         } else if (tilesFromFloor === 1) {                            
@@ -77,13 +333,13 @@ class MapSkinner {
                             // and never too close together at the same elevation.
                             if (map.getTileAt(x, y-1) === PLAYER_RESERVATION
                                 && columnsSinceEnemy[y] > 2
-                                && Math.random() < this.enemyProbability) {
-                                    map.place(Tile.PINK_SLIME, x, y);
+                                && random.chance(this.probability("enemyProbability", theme))) {
+                                    map.place(this.pickTile("enemy", random, theme), x, y);
                                     columnsSinceEnemy[y] = 0;
 
                             // Or, if we didn't place an enemy, try to place a coin.
-                            } else if (Math.random() < this.coinProbability) {
-                                map.place(Tile.COIN, x, y);
+                            } else if (random.chance(this.probability("coinProbability", theme))) {
+                                map.place(this.pickTile("collectible", random, theme), x, y);
                             }
                         }
                     }
@@ -104,20 +360,23 @@ class MapSkinner {
             
             // First, try extending them to the left, if we can do so without impinging on a player reservation or closing a gap.
             if (solid.x > 0 && map.getTileAt(solid.x-1, solid.y) == Tile.NONE && !map.isSolid(solid.x-2, solid.y)
-            && Math.random() < this.platformExtendProbability) {
+            && random.chance(this.probability("platformExtendProbability", this.themeAt(solid.x-1)))) {
                 const bottom = clearBelow[solid.x - 1] <= solid.y ? rows - 1 : solid.y;                    
-                map.fill(Tile.SOLID, solid.x-1, solid.y, solid.x-1, bottom);                    
+                map.fill(terrainAt(solid.x-1), solid.x-1, solid.y, solid.x-1, bottom);
             }
 
             // Then, try extending them to the right, if we can do so without impinging on a player reservation or closing a gap.
             if (solid.x < columns-1 && map.getTileAt(solid.x+1, solid.y) === Tile.NONE && !map.isSolid(solid.x+2, solid.y)
-            && Math.random() < this.platformExtendProbability) {
+            && random.chance(this.probability("platformExtendProbability", this.themeAt(solid.x+1)))) {
                 const bottom = clearBelow[solid.x + 1] <= solid.y ? rows - 1 : solid.y;                    
-                map.fill(Tile.SOLID, solid.x+1, solid.y, solid.x+1, bottom);               
+                map.fill(terrainAt(solid.x+1), solid.x+1, solid.y, solid.x+1, bottom);
             }
             
         }   
 
+        // Smooth one-tile steps in the ground into slopes.
+        this.smoothSteps(map, path, controller, random);
+
         // Next, iterate over the full path, looking for long jumps to decorate with coins.
         // (jumps where we land close to our starting point are skipped -  they're usually just path gen artifacts)
 
@@ -144,15 +403,98 @@ class MapSkinner {
 
                         // Only decorate places where the coin sits very close to the jump line.
                         // (Otherwise we get ugly stairstep patterns)
+                        // We get a roll for every frame of the jump, so scale the chance to the simulation rate,
+                        // to get the same number of coins whatever rate the path was generated at.
+                        // Jumps can pass through slopes, one-way platforms and ladders, but the coins mustn't replace them.
                         const deviation = (here.x-x)*(here.x-x) + (here.y-y)*(here.y-y);
-                        if (deviation < 0.1
-                            && Math.random() < this.coinProbability)
-                            map.place(Tile.COIN, x, y);
+                        const theme = this.themeAt(x);
+                        const { slope, oneWay, climbable } = tileRegistry.get(map.getTileAt(x, y));
+                        if (deviation < 0.1 && !slope && !oneWay && !climbable
+                            && random.chance(controller.stepChance(this.probability("coinProbability", theme))))
+                            map.place(this.pickTile("collectible", random, theme), x, y);
                     }
                 }
                 // We're no longer tracking a single jump, clear that index.
                 jumpStart = -1;
             }                
         }
+
+        // Finally, scatter the themes' decorations through whatever empty space is left.
+        // They have no effect on play, so they can sit along the player's path, but never over anything already placed.
+        // They only attach to terrain, so they don't hide the ! Boxes. (The end columns are left for the start & goal.)
+        for (let x = 1; x < columns - 1; x++) {
+            const decorations = this.themeAt(x)?.decorations;
+            if (!decorations) continue;
+            const terrain = terrainAt(x);
+
+            for (let y = 0; y < rows; y++) {
+                const tile = map.getTileAt(x, y);
+                if (tile !== Tile.NONE && tile !== PLAYER_RESERVATION) continue;
+
+                for (const decoration of decorations) {
+                    const anchor = decoration.placement === "ceiling" ? map.getTileAt(x, y - 1) : map.getTileAt(x, y + 1);
+                    if (anchor === terrain && random.chance(decoration.probability)) {
+                        map.place(decoration.tile, x, y);
+                        break;
+                    }
+                }
+            }
+        }
+
+        // The designer's pre-built pieces and keep-out regions aren't ours to dress, so put back whatever the plan had there.
+        for (let x = 0; x < columns; x++) {
+            for (let y = 0; y < rows; y++) {
+                if (map.isLocked(x, y)) map.place(planned.getTileAt(x, y), x, y);
+            }
+        }
+
+        // Last of all, make sure none of that got in the path's way. Replay the path on the finished level,
+        // and wherever it goes differently, put back the plan in the cells it passed through, then check again.
+        // Frames that already go differently on the plan itself are the pather's doing, not ours, so we only
+        // roll back for frames that go differently than they do there. (This draws no random numbers,
+        // so it never changes the rest of the skinning)
+        this.planProblems = this.checkTraversal(planned, path, controller);
+        const planProblems = new Map(this.planProblems.map(problem => [problem.frame, problem]));
+        const isOurs = (problem) => {
+            const before = planProblems.get(problem.frame);
+            return !before || before.blocked !== problem.blocked
+                || Math.abs(before.actual.x - problem.actual.x) > 0.001 || Math.abs(before.actual.y - problem.actual.y) > 0.001;
+        };
+
+        this.rolledBack = [];
+        for (;;) {
+            this.traversalProblems = this.checkTraversal(map, path, controller).filter(isOurs);
+
+            let restored = 0;
+            for (const problem of this.traversalProblems) {
+                const cells = this.#rollBack(map, planned, path, problem, controller);
+                this.rolledBack.push(...cells);
+                restored += cells.length;
+            }
+            if (restored === 0) break;
+        }
+
+        // Now the shape of the level is settled, give its slopes the look of their theme. (Done last, so any slopes
+        // rolled back to the plan get dressed too)
+        this.dressSlopes(map);
+    }
+
+    /**
+     * Swaps the plain, grassy slopes the pather and smoothSteps() build for the same shapes in each theme's look
+     * (see Theme.slopes). They collide just the same, so this never changes how the level plays.
+     * Designer-locked cells keep whatever they were built with.
+     * @param {MapChunk} map Map to dress the slopes of.
+     */
+    dressSlopes(map) {
+        const {columns, rows} = map.getDimensions();
+        for (let x = 0; x < columns; x++) {
+            const slopes = this.themeAt(x)?.slopes;
+            if (!slopes) continue;
+
+            for (let y = 0; y < rows; y++) {
+                const dressed = slopes.get(map.getTileAt(x, y));
+                if (dressed && !map.isLocked(x, y)) map.place(dressed, x, y);
+            }
+        }
     }
 }
\ No newline at end of file
@@ -0,0 +1,53 @@
+// Browser-only helper for building a TileLibrary out of the inline SVG images in an HTML page.
+// Kept separate from tilemap.js so the generator core never needs a DOM.
+
+import { TileLibrary } from "./tilemap.js";
+
+/**
+ * Options for loading inline SVG tiles.
+ * @typedef {Object} SvgTileOptions
+ * @property {Document} [root=document] Document to search for SVG elements.
+ * @property {string} [tilesetName] Name of the tileset to load the SVGs into. Defaults to the library's default tileset.
+ * @property {Number} [tileSize] Pixel size of one tile on the map grid.
+ * Defaults to the width of the narrowest SVG, so larger sprites overhang the grid rather than squashing it.
+ * @property {TileLibrary} [library] Library to add the tileset to. A new one is created if absent.
+ */
+
+/**
+ * Create a TileLibrary tileset by trawling the HTML document for all SVG tags.
+ * Each SVG's id is used to look up the matching member of the Tile enumeration.
+ * Await the returned library's ready property to know when they've all loaded.
+ * @param {SvgTileOptions} [options] Where to find the SVGs, and where to put them.
+ * @returns {TileLibrary} Library that will contain all the SVG images, once loaded.
+ */
+export function loadSvgTiles(options = {}) {
+    const root = options.root ?? document;
+    const library = options.library ?? new TileLibrary();
+    const tilesetName = options.tilesetName ?? TileLibrary.DEFAULT_TILESET;
+
+    // Gather all SVG elements in the page.
+    const svgs = Array.from(root.getElementsByTagName("svg"));
+
+    const tileSize = options.tileSize ?? Math.min(...svgs.map(svg => Number(svg.getAttribute("width"))));
+    library.createTileset(tilesetName, tileSize);
+
+    // We'll need to load these SVGs into IMG elements to draw them into our canvas.
+    // To do that we'll need to digest their XML contents with this serializer.
+    let serializer = new XMLSerializer();
+    for (const svg of svgs) {
+        // SVG to image stamp borrowed from this StackOverflow answer:
+        // https://stackoverflow.com/questions/57502210/how-to-draw-a-svg-on-canvas-using-javascript
+        let xml = serializer.serializeToString(svg);
+        let svg64 = btoa(xml);
+        let b64Start = "data:image/svg+xml;base64,";
+        let image64 = b64Start + svg64;
+
+        // Load the SVG data into a raster image we can easily stamp into our canvas,
+        // and associate the tile image with the tile type.
+        let img = root.createElement("img");
+        library.addImage(Symbol.for(svg.id), img, tilesetName);
+        img.src = image64;
+    }
+
+    return library;
+}
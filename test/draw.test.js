@@ -0,0 +1,121 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { MapChunk, Tile, TileLibrary } from "../tilemap.js";
+
+// Headless tiles: stand-in images for the boxes and coins we draw, that know their own names.
+const tiles = new TileLibrary();
+tiles.createTileset(TileLibrary.DEFAULT_TILESET, 70);
+for (const tile of [Tile.WOOD_BOX, Tile.COIN]) tiles.addImage(tile, { name: Symbol.keyFor(tile), width: 70, height: 70 });
+
+/**
+ * Makes a stand-in 2D context that records which map cells get tiles stamped into them, and which areas get wiped.
+ * @param {Number} width Width of its canvas, in pixels.
+ * @param {Number} height Height of its canvas, in pixels.
+ * @returns {Object} The context. Its stamped and cleared lists can be emptied between draws.
+ */
+function recordingContext(width, height) {
+    const noop = () => {};
+    const context = {
+        canvas: { width, height },
+        stamped: [],
+        cleared: [],
+        drawImage(image, ...args) {
+            // Tiles are drawn with a source rectangle, in 70px cells; whole cached canvases without one.
+            if (args.length === 8) context.stamped.push(`${image.name}@${args[4] / 70},${args[5] / 70}`);
+        },
+        clearRect: (x, y, w, h) => context.cleared.push([x, y, w, h]),
+        save: noop, restore: noop, resetTransform: noop, translate: noop, scale: noop, setTransform: noop,
+        beginPath: noop, rect: noop, clip: noop, fillText: noop,
+    };
+    return context;
+}
+
+/** @type {Object[]} Contexts of the offscreen canvases made for caching, newest last.*/
+let caches;
+const createCanvas = MapChunk.createCanvas;
+beforeEach(() => {
+    caches = [];
+    MapChunk.createCanvas = (width, height) => {
+        const context = recordingContext(width, height);
+        caches.push(context);
+        return { width, height, getContext: () => context };
+    };
+});
+afterEach(() => { MapChunk.createCanvas = createCanvas; });
+
+/**
+ * Draws a 10x6 map of boxes at 70 pixels a tile, then forgets what that first draw rendered.
+ * @returns {{map: MapChunk, screen: Object, cache: Object}} The map, the context it's drawn to, and its cache's context.
+ */
+function drawnMap() {
+    const map = new MapChunk(10, 6).fill(Tile.WOOD_BOX, 0, 0, 9, 5);
+    const screen = recordingContext(700, 420);
+    map.draw(screen, tiles);
+
+    const [cache] = caches;
+    assert.equal(cache.stamped.length, 60);
+    cache.stamped.length = 0;
+    return { map, screen, cache };
+}
+
+/**
+ * Lists the cells in a rectangle of drawnMap()'s boxes, the way recordingContext records them.
+ * @param {Number} xMin Leftmost column.
+ * @param {Number} yMin Topmost row.
+ * @param {Number} xMax Rightmost column.
+ * @param {Number} yMax Bottommost row.
+ * @param {Point[]} [coins] Cells we've swapped the box for a coin in.
+ * @returns {string[]} The cells, in the order the map renders them: columns left to right, each top to bottom.
+ */
+function cells(xMin, yMin, xMax, yMax, coins = []) {
+    const list = [];
+    for (let x = xMin; x <= xMax; x++) {
+        for (let y = yMin; y <= yMax; y++) {
+            list.push(`${coins.some(coin => coin.x === x && coin.y === y) ? "coin" : "woodBox"}@${x},${y}`);
+        }
+    }
+    return list;
+}
+
+test("drawing again without changes re-renders nothing", () => {
+    const { map, screen, cache } = drawnMap();
+    map.draw(screen, tiles);
+    assert.deepEqual(cache.stamped, []);
+    assert.equal(caches.length, 1);
+});
+
+test("changing one tile re-renders it and its neighbours, and nothing else", () => {
+    const { map, screen, cache } = drawnMap();
+    map.place(Tile.COIN, 4, 2);
+    map.draw(screen, tiles);
+
+    assert.deepEqual(cache.stamped, cells(3, 1, 5, 3, [{ x: 4, y: 2 }]));
+    assert.deepEqual(cache.cleared, [[210, 70, 210, 210]]);
+});
+
+test("the redrawn region stops at the edges of the map", () => {
+    const { map, screen, cache } = drawnMap();
+    map.place(Tile.COIN, 0, 0);
+    map.draw(screen, tiles);
+
+    assert.deepEqual(cache.stamped, cells(0, 0, 1, 1, [{ x: 0, y: 0 }]));
+});
+
+test("several changes between draws re-render the region around all of them", () => {
+    const { map, screen, cache } = drawnMap();
+    map.place(Tile.COIN, 2, 1);
+    map.place(Tile.COIN, 3, 3);
+    map.draw(screen, tiles);
+
+    assert.deepEqual(cache.stamped, cells(1, 0, 4, 4, [{ x: 2, y: 1 }, { x: 3, y: 3 }]));
+});
+
+test("invalidating re-renders everything into a fresh cache", () => {
+    const { map, screen } = drawnMap();
+    map.invalidate();
+    map.draw(screen, tiles);
+
+    assert.equal(caches.length, 2);
+    assert.equal(caches[1].stamped.length, 60);
+});
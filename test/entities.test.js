@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { MapChunk, Tile } from "../tilemap.js";
+import { PatrolEnemy, spawnEntities } from "../entities.js";
+
+/**
+ * Spawns the entities in a level written out as text.
+ * @param {string[]} rows The level, one string per row (see MapChunk.toText). '*' marks where the player's path went.
+ * @returns {{map: MapChunk, entities: Entity[]}} The level with the entities lifted out, and the entities.
+ */
+function spawn(rows) {
+    const map = MapChunk.fromText(rows.join("\n"));
+    return { map, entities: spawnEntities(map) };
+}
+
+test("enemies patrol as far as there's ground to walk on and path above to be stomped from", () => {
+    const { map, entities: [walled, sloped] } = spawn([
+        "..........",
+        ".*********",
+        ".#.E.../.E",
+        "######.###",
+    ]);
+
+    // A wall stops the first enemy on its left, and a gap in the floor on its right.
+    assert.deepEqual([walled.minX, walled.maxX], [2, 5]);
+    // Enemies stay off slopes, and the edge of the map stops them too.
+    assert.deepEqual([sloped.minX, sloped.maxX], [8, 9]);
+
+    // Spawning lifts them out of the level.
+    assert.equal(map.getTileAt(3, 2), Tile.NONE);
+    assert.equal(map.getTileAt(9, 2), Tile.NONE);
+});
+
+test("enemies don't patrol under ground the player's path didn't pass over", () => {
+    const { entities: [enemy] } = spawn([
+        ".......",
+        "..*o*..",
+        "...E...",
+        "#######",
+    ]);
+    // Collectibles along the path count as path, but the open cells beyond it don't.
+    assert.deepEqual([enemy.minX, enemy.maxX], [2, 4]);
+    assert.equal(PatrolEnemy.canPatrol(spawn(["...", "...", "###"]).map, 1, 1), false);
+});
+
+test("enemies don't patrol through each other's starting spots", () => {
+    const { entities: [left, right] } = spawn([
+        "********",
+        ".E...E..",
+        "########",
+    ]);
+    assert.deepEqual([left.minX, left.maxX], [0, 4]);
+    assert.deepEqual([right.minX, right.maxX], [2, 7]);
+});
+
+test("patrolling enemies walk back and forth between the ends of their patrol", () => {
+    const { entities: [enemy] } = spawn([
+        "******",
+        ".E....",
+        "##.###",
+    ]);
+    assert.deepEqual([enemy.minX, enemy.maxX], [0, 1]);
+
+    const visited = new Set();
+    for (let frame = 0; frame < 120; frame++) {
+        enemy.update(null, 1 / 30);
+        assert.ok(enemy.x >= enemy.minX && enemy.x <= enemy.maxX, `x ${enemy.x} on frame ${frame}`);
+        visited.add(enemy.x);
+    }
+    assert.ok(visited.has(0) && visited.has(1), "reaches both ends");
+});
+
+test("an enemy touches a box overlapping its hitbox, but not the empty top of its cell", () => {
+    const enemy = new PatrolEnemy(Tile.PINK_SLIME, 3, 2, spawn(["....", "....", "####"]).map);
+    assert.equal(enemy.overlaps({ x: 3, y: 2.6, width: 1, height: 1 }), true);
+    assert.equal(enemy.overlaps({ x: 3, y: 1.4, width: 1, height: 1 }), false);
+    assert.equal(enemy.overlaps({ x: 4, y: 2.6, width: 1, height: 1 }), false);
+});
@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { MapChunk } from "../tilemap.js";
+import { SOLID_RESERVATION, PLAYER_RESERVATION, WALL_RESERVATION, ONE_WAY_RESERVATION, LADDER_RESERVATION } from "../pather.js";
+
+const script = fileURLToPath(new URL("../generate.js", import.meta.url));
+
+/**
+ * Runs the command line generator into a fresh temporary folder, which is cleaned up after the test.
+ * @param {TestContext} t The running test.
+ * @param {string[]} args Command line options.
+ * @returns {{out: string, summary: Object, stdout: string}} The output folder, its parsed summary.json, and what was printed.
+ */
+function generate(t, args) {
+    const out = mkdtempSync(join(tmpdir(), "path-first-"));
+    t.after(() => rmSync(out, { recursive: true, force: true }));
+
+    const run = spawnSync(process.execPath, [script, ...args, "--out", out], { encoding: "utf8", timeout: 120000 });
+    assert.equal(run.status, 0, run.stderr);
+    return { out, summary: JSON.parse(readFileSync(join(out, "summary.json"), "utf8")), stdout: run.stdout };
+}
+
+test("a seeded batch writes finished ASCII levels and sums them up", t => {
+    const { out, summary, stdout } = generate(t, ["--seed", "5", "--count", "3"]);
+
+    assert.equal(summary.seed, 5);
+    assert.equal(summary.count, 3);
+    assert.equal(summary.format, "ascii");
+    assert.equal(summary.width, 50);
+    assert.equal(summary.height, 20);
+    assert.equal(summary.levels.length, 3);
+    assert.equal(summary.succeeded + summary.failed, 3);
+    assert.match(stdout, new RegExp(`generated ${summary.succeeded} of 3 levels`));
+
+    const reservations = [SOLID_RESERVATION, PLAYER_RESERVATION, WALL_RESERVATION, ONE_WAY_RESERVATION, LADDER_RESERVATION];
+    for (const level of summary.levels) {
+        assert.equal(level.file !== null, level.success, `level ${level.index}`);
+        if (!level.success) continue;
+        assert.deepEqual([level.traversalProblems, level.planProblems], [0, 0]);
+
+        // Just the finished level: plain ASCII, with no book-keeping left in it.
+        const text = readFileSync(join(out, level.file), "utf8");
+        assert.match(text, /^[!-~\n]+$/);
+        for (const reservation of reservations) assert.ok(!text.includes(reservation), `${level.file} has "${reservation}"`);
+        assert.deepEqual(MapChunk.fromText(text).getDimensions(), { columns: 50, rows: 20 });
+    }
+});
+
+test("the same seed generates the same batch", t => {
+    const first = generate(t, ["--seed", "5", "--count", "2"]);
+    const second = generate(t, ["--seed", "5", "--count", "2"]);
+
+    assert.deepEqual(second.summary, first.summary);
+    for (const level of first.summary.levels.filter(level => level.file)) {
+        assert.equal(readFileSync(join(second.out, level.file), "utf8"), readFileSync(join(first.out, level.file), "utf8"));
+    }
+});
+
+test("JSON output keeps the seeds, so a level can be regenerated", t => {
+    const { out, summary } = generate(t, ["--seed", "5", "--count", "1", "--format", "json"]);
+    const [level] = summary.levels;
+    const data = JSON.parse(readFileSync(join(out, level.file), "utf8"));
+
+    assert.deepEqual([data.pathSeed, data.skinSeed], [level.pathSeed, level.skinSeed]);
+    assert.deepEqual(MapChunk.fromJSON(data).getDimensions(), { columns: 50, rows: 20 });
+});
@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { MapChunk } from "../tilemap.js";
+import { CharacterController } from "../platformer.js";
+import { Pather } from "../pather.js";
+import { MapSkinner } from "../skinner.js";
+import { Random } from "../random.js";
+import "../searchplanner.js";
+import "../validator.js";
+import "../play.js";
+import "../tiled.js";
+import "../themes.js";
+
+test("the generator core runs without a browser", () => {
+    // Node has no DOM, so if any of the core modules reached for one, importing them would already have thrown.
+    assert.equal(typeof window, "undefined");
+    assert.equal(typeof document, "undefined");
+
+    const controller = new CharacterController();
+    const pather = new Pather(controller);
+    controller.postUpdate = pather.update.bind(pather);
+    controller.update();
+
+    const map = new MapChunk(50, 20);
+    assert.ok(pather.planPath(map, 50, new Random(1)));
+    new MapSkinner().skinMap(map, pather.successfulPath, controller, new Random(1));
+
+    // The level still saves and loads, without anything to draw it on.
+    assert.equal(MapChunk.fromText(map.toText()).toText(), map.toText());
+    assert.equal(MapChunk.createCanvas(70, 70), null);
+});
@@ -0,0 +1,166 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { MapChunk, Tile } from "../tilemap.js";
+import { CharacterState, CharacterController } from "../platformer.js";
+import { Pather, PLAYER_RESERVATION, WALL_RESERVATION } from "../pather.js";
+import { Random } from "../random.js";
+
+const controller = new CharacterController();
+const pather = new Pather(controller);
+controller.postUpdate = pather.update.bind(pather);
+controller.update();
+
+/**
+ * Plans a path on a fresh 50x20 map.
+ * @param {Number} seed Seed for the planner's random numbers.
+ * @returns {{map: string, seed: Number, frames: Number[][]}} The planned map as text, the sub-seed of the attempt
+ * that found the path, and where the character was on each frame of it.
+ */
+function plan(seed) {
+    const map = new MapChunk(50, 20);
+    assert.ok(pather.planPath(map, 50, new Random(seed)), `seed ${seed} should find a path`);
+    return {
+        map: map.toText(),
+        seed: pather.successfulSeed,
+        frames: pather.successfulPath.map(state => [state.x, state.y]),
+    };
+}
+
+test("the same seed plans the same path", () => {
+    for (const seed of [1, 2, 3]) assert.deepEqual(plan(seed), plan(seed));
+});
+
+test("the same seed plans the same path at a faster simulation rate too", () => {
+    const fast = new CharacterController();
+    fast.simulationRate = 60;
+    fast.update();
+    const fastPather = new Pather(fast);
+    fastPather.update();
+
+    const paths = [1, 2].map(() => {
+        const map = new MapChunk(50, 20);
+        assert.ok(fastPather.planPath(map, 50, new Random(4)), "seed 4 should find a path at 60 Hz");
+        return [map.toText(), fastPather.successfulPath.map(state => [state.x, state.y])];
+    });
+    assert.deepEqual(paths[0], paths[1]);
+});
+
+test("different seeds plan different paths", () => {
+    assert.notEqual(plan(1).map, plan(2).map);
+});
+
+test("walls for wall jumps go on whichever side we ask, clear of the path and the map's end columns", () => {
+    const map = new MapChunk(10, 8);
+    map.place(PLAYER_RESERVATION, 5, 2);
+    const state = new CharacterState(4, 3);
+    const [left, right, top, bottom] = [state.leftTile(), state.rightTile(controller.width), state.topTile(),
+        state.bottomTile(controller.height)];
+
+    // Heading left, the wall goes on our left, a tile taller than us each way.
+    assert.ok(pather.raiseWall(map, state, -1, left, right, top, bottom));
+    for (let y = 0; y < 8; y++) assert.equal(map.getTileAt(3, y), y >= 2 && y <= 4 ? WALL_RESERVATION : Tile.NONE, `row ${y}`);
+
+    // Heading right works too, unless the wall would cover part of the path.
+    assert.equal(pather.raiseWall(map, state, 1, left, right, top, bottom), false);
+    map.place(Tile.NONE, 5, 2);
+    assert.ok(pather.raiseWall(map, state, 1, left, right, top, bottom));
+    assert.equal(map.getTileAt(5, 3), WALL_RESERVATION);
+
+    // And never in the end columns.
+    const edge = new CharacterState(8, 3);
+    assert.equal(pather.raiseWall(map, edge, 1, 8, 8, 3, 3), false);
+});
+
+/**
+ * Makes a fresh 50x20 map with the designer constraints from the demo: a hand-built ledge with a waypoint on it,
+ * and a region below and to its right to keep out of.
+ * @returns {MapChunk} The map, ready to plan a path on.
+ */
+function constrainedMap() {
+    const ledge = new MapChunk(5, 2);
+    ledge.fill(Tile.CASTLE_BRICK, 0, 1, 4, 1);
+    ledge.place(Tile.GEM, 2, 0);
+    return new MapChunk(50, 20)
+        .addPrebuilt(ledge, 20, 7)
+        .addWaypoint(22, 7)
+        .addKeepOut(32, 11, 6, 9);
+}
+
+test("paths go through the waypoints, stay out of keep-out regions, and leave pre-built pieces alone", () => {
+    for (const seed of [1, 3, 4]) {
+        const map = constrainedMap();
+        assert.ok(pather.planPath(map, 50, new Random(seed)), `seed ${seed} should find a path`);
+        const bounds = pather.successfulPath.map(state =>
+            [state.leftTile(), state.rightTile(controller.width), state.topTile(), state.bottomTile(controller.height)]);
+
+        assert.ok(bounds.some(cells => Pather.touches(map.constraints.waypoints[0], ...cells)), `seed ${seed} missed the waypoint`);
+        for (const [left, right, top, bottom] of bounds) {
+            for (let x = left; x <= right; x++) {
+                for (let y = top; y <= bottom; y++) assert.equal(map.keepOutAt(x, y), -1, `seed ${seed} went through (${x}, ${y})`);
+            }
+        }
+
+        // Nothing got reserved in the keep-out region, and the ledge is just as it was built.
+        for (let x = 32; x < 38; x++) {
+            for (let y = 11; y < 20; y++) assert.equal(map.getTileAt(x, y), Tile.NONE, `seed ${seed} built at (${x}, ${y})`);
+        }
+        assert.equal(map.getTileAt(22, 7), Tile.GEM);
+        for (let x = 20; x < 25; x++) assert.equal(map.getTileAt(x, 8), Tile.CASTLE_BRICK);
+    }
+});
+
+test("when a constraint can't be met, the failure says which", () => {
+    // A waypoint sealed inside a pre-built box.
+    const box = new MapChunk(3, 3).fill(Tile.SOLID, 0, 0, 2, 2);
+    box.place(Tile.NONE, 1, 1);
+    assert.equal(pather.planPath(new MapChunk(50, 20).addPrebuilt(box, 24, 9).addWaypoint(25, 10), 5, new Random(1)), false);
+    assert.deepEqual(pather.failure, {
+        constraint: "waypoint", index: 0, waypointsReached: 0, message: "couldn't reach waypoint 1 (at 25, 10)",
+    });
+
+    // A keep-out region right across the map.
+    assert.equal(pather.planPath(new MapChunk(50, 20).addKeepOut(25, 0, 2, 20), 5, new Random(1)), false);
+    assert.equal(pather.failure.constraint, "keepOut");
+    assert.equal(pather.failure.index, 0);
+    assert.match(pather.failure.message, /keep-out region 1 \(2x20 at 25, 0\)/);
+
+    // Succeeding clears it.
+    assert.ok(pather.planPath(new MapChunk(50, 20), 50, new Random(1)));
+    assert.equal(pather.failure, null);
+});
+
+test("countOutcomes tallies attempts by how they ended", () => {
+    const attempts = ["fellOut", "timeout", "fellOut", "success"].map(outcome => ({ outcome }));
+    assert.deepEqual(Pather.countOutcomes(attempts), { fellOut: 2, timeout: 1, success: 1 });
+    assert.deepEqual(Pather.countOutcomes([]), {});
+});
+
+test("every attempt is recorded with how it ended, and can be replayed from its seed", () => {
+    // Seed 2 uses up all 50 attempts on the demo's constraints, failing in several different ways.
+    assert.equal(pather.planPath(constrainedMap(), 50, new Random(2)), false);
+    const { attempts } = pather;
+    assert.equal(attempts.length, 50);
+    assert.deepEqual(Pather.countOutcomes(attempts), { fellOut: 47, keepOut: 2, timeout: 1 });
+
+    for (const attempt of attempts) {
+        const last = attempt.path.at(-1);
+        assert.equal(attempt.frames, attempt.path.length - 1);
+        assert.deepEqual(attempt.end, { x: Math.floor(last.x), y: Math.floor(last.y) });
+        assert.ok(attempt.furthestColumn >= attempt.end.x);
+    }
+
+    // Replaying a failed attempt's seed on its own fails the same way.
+    const timedOut = attempts.find(attempt => attempt.outcome === "timeout");
+    const map = constrainedMap();
+    assert.equal(pather.attemptPath(map, new Random(timedOut.seed)), null);
+    assert.equal(pather.lastOutcome, "timeout");
+    assert.equal(pather.lastAttempt.length - 1, timedOut.frames);
+    assert.ok(timedOut.frames * controller.dt >= 100 - controller.dt, "used up the time budget");
+
+    // A successful call records its failures too, with the success last.
+    assert.ok(pather.planPath(constrainedMap(), 50, new Random(1)));
+    assert.deepEqual(Pather.countOutcomes(pather.attempts), { fellOut: 8, keepOut: 1, success: 1 });
+    assert.equal(pather.attempts.at(-1).outcome, "success");
+    assert.equal(pather.attempts.at(-1).seed, pather.successfulSeed);
+});
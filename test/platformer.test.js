@@ -0,0 +1,447 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { MapChunk, Tile } from "../tilemap.js";
+import { CharacterState, CharacterController } from "../platformer.js";
+
+const controller = new CharacterController();
+controller.update();
+
+/**
+ * Builds a map from text (see MapChunk.toText).
+ * @param {string[]} rows The map, one string per row.
+ * @returns {MapChunk} The map.
+ */
+function level(rows) {
+    return MapChunk.fromText(rows.join("\n"));
+}
+
+/**
+ * Makes a character standing still on the floor of a cell.
+ * @param {Number} x Horizontal position of the character's left edge, in tile units.
+ * @param {Number} row Row the character stands in, on top of the row below.
+ * @param {CharacterController} [physics=controller] Controller whose character size to use.
+ * @returns {CharacterState} The character.
+ */
+function standing(x, row, physics = controller) {
+    const state = new CharacterState(x, row + 1 - physics.height);
+    state.framesOnGround = 1;
+    state.framesSinceGround = 0;
+    return state;
+}
+
+/**
+ * Steps a character through the controller and collides it with a map, one frame per input.
+ * @param {MapChunk} map Map to move through.
+ * @param {CharacterState} state Where the character starts.
+ * @param {InputState[]|function(Number, CharacterState): InputState} inputs Input for each frame,
+ * or a function choosing it from the frame number and the character's state so far.
+ * @param {Number} [frames] How many frames to run, when inputs is a function.
+ * @param {CharacterController} [physics=controller] Controller to step with.
+ * @returns {CharacterState[]} The character's state after each frame.
+ */
+function run(map, state, inputs, frames = inputs.length, physics = controller) {
+    const states = [];
+    for (let i = 0; i < frames; i++) {
+        const input = typeof inputs === "function" ? inputs(i, state) : inputs[i];
+        state = physics.step(state, input);
+        physics.handleCollision(state, map);
+        states.push(state);
+    }
+    return states;
+}
+
+/**
+ * Finds how high a jump got.
+ * @param {Number} startY Where the character's top edge started.
+ * @param {CharacterState[]} states The jump, frame by frame.
+ * @returns {Number} Height of the apex above the start, in tiles.
+ */
+function apex(startY, states) {
+    return startY - Math.min(...states.map(state => state.y));
+}
+
+// An open room with a floor, tall enough for any jump.
+const room = level([
+    "........",
+    "........",
+    "........",
+    "........",
+    "........",
+    "........",
+    "........",
+    "........",
+    "########",
+]);
+
+test("holding jump all the way up reaches the full jump height", () => {
+    const start = standing(3, 7);
+    const states = run(room, start, () => ({ x: 0, jump: true }), 60);
+    assert.ok(Math.abs(apex(start.y, states) - controller.jumpHeight) < 0.25, `apex ${apex(start.y, states)}`);
+});
+
+test("letting go of jump straight away reaches only the minimum jump height", () => {
+    const start = standing(3, 7);
+    const states = run(room, start, i => ({ x: 0, jump: i === 0 }), 60);
+    assert.ok(Math.abs(apex(start.y, states) - controller.minJumpHeight) < 0.25, `apex ${apex(start.y, states)}`);
+});
+
+test("letting go partway up gives a jump in between, higher the later we let go", () => {
+    const apexes = [2, 5, 8].map(release => {
+        const start = standing(3, 7);
+        return apex(start.y, run(room, start, i => ({ x: 0, jump: i < release }), 60));
+    });
+    assert.ok(controller.minJumpHeight < apexes[0], `apexes ${apexes}`);
+    assert.ok(apexes[0] < apexes[1] && apexes[1] < apexes[2], `apexes ${apexes}`);
+    assert.ok(apexes[2] < controller.jumpHeight, `apexes ${apexes}`);
+});
+
+test("a cut jump lands when jumpDuration says it will", () => {
+    // (Letting go after the apex is the same as holding on all the way)
+    const afterApex = Math.ceil(controller.timeToPeak / controller.dt) + 1;
+    for (const release of [1, 5, afterApex]) {
+        const start = standing(3, 7);
+        const states = run(room, start, i => ({ x: 0, jump: i < release }), 90);
+        const airborne = states.findIndex((state, i) => i > 0 && state.isOnGround()) * controller.dt;
+        const expected = controller.jumpDuration(release * controller.dt);
+        assert.ok(Math.abs(airborne - expected) <= 2 * controller.dt, `release ${release}: ${airborne}s, expected ${expected}s`);
+    }
+});
+
+/**
+ * Makes a controller with some of the extra movement abilities turned on.
+ * @param {Object} abilities Which abilities to allow, like { canDoubleJump: true }.
+ * @returns {CharacterController} The controller.
+ */
+function withAbilities(abilities) {
+    const physics = Object.assign(new CharacterController(), abilities);
+    physics.update();
+    return physics;
+}
+
+/**
+ * Makes a character in mid-air, falling.
+ * @param {Number} x Horizontal position of the character's left edge, in tile units.
+ * @param {Number} y Vertical position of the character's top edge, in tile units.
+ * @returns {CharacterState} The character.
+ */
+function falling(x, y) {
+    const state = new CharacterState(x, y);
+    state.framesSinceGround = 10;
+    state.velY = 3;
+    return state;
+}
+
+// A room walled in on both sides, tall enough to jump and slide in.
+const shaft = level([
+    "#......#",
+    "#......#",
+    "#......#",
+    "#......#",
+    "#......#",
+    "#......#",
+    "#......#",
+    "#......#",
+    "########",
+]);
+
+test("a double jump launches again once in mid-air, but only once", () => {
+    const physics = withAbilities({ canDoubleJump: true });
+    // Press jump on the way down, then let go and press it again.
+    const press = [{ x: 0, jump: true }, { x: 0, jump: false }, { x: 0, jump: true }];
+    const [first, , second] = run(shaft, falling(3, 2), press, 3, physics);
+
+    assert.equal(first.velY, physics.jumpVelocity + physics.gravity * physics.dt);
+    assert.equal(first.airJumps, 1);
+    assert.ok(second.velY > first.velY, "the second press does nothing");
+
+    // Without the ability, pressing jump in mid-air does nothing.
+    const [plain] = run(shaft, falling(3, 2), press, 1);
+    assert.ok(plain.velY > 0);
+
+    // Landing recharges it.
+    const landed = run(shaft, falling(3, 2), () => ({ x: 0, jump: false }), 60, physics).at(-1);
+    assert.ok(landed.isOnGround());
+    assert.equal(landed.airJumps, 0);
+});
+
+for (const side of [-1, 1]) {
+    const name = side < 0 ? "left" : "right";
+    test(`pushing into a wall on the ${name} slows the fall to a slide, and jumping kicks off it`, () => {
+        const physics = withAbilities({ canWallJump: true });
+        const start = falling(side < 0 ? 1.05 : 6.9 - physics.width, 1);
+
+        // Fall against the wall for a while, so we're going fast enough to slide.
+        const sliding = run(shaft, start, () => ({ x: side, jump: false }), 12, physics);
+        const slide = sliding.at(-1);
+        assert.equal(slide.wallContact, side);
+        assert.equal(slide.velY, physics.wallSlideSpeed);
+
+        const [kick] = run(shaft, slide, [{ x: side, jump: true }], 1, physics);
+        assert.equal(kick.velX, -side * physics.runSpeed);
+        assert.ok(kick.velY < 0, "launches upward");
+        assert.equal(kick.facing, -side);
+
+        // Without the ability, we just fall down the wall.
+        const plain = run(shaft, start, () => ({ x: side, jump: false }), 12).at(-1);
+        assert.ok(plain.velY > physics.wallSlideSpeed);
+    });
+}
+
+test("a dash shoots sideways with gravity on hold, once per time in the air", () => {
+    const physics = withAbilities({ canDash: true });
+    const frames = Math.round(physics.dashDuration / physics.dt);
+    const dash = run(shaft, falling(1.5, 1), i => ({ x: 1, jump: false, dash: i === 0 }), frames, physics);
+
+    for (const state of dash.slice(0, -1)) {
+        assert.equal(state.velX, physics.dashSpeed);
+        assert.equal(state.velY, 0);
+    }
+    assert.equal(dash.at(-1).velX, physics.runSpeed, "comes out of the dash at running speed");
+    assert.ok(Math.abs(dash.at(-1).y - 1) < 0.001, "doesn't fall while dashing");
+
+    // A second press before landing does nothing.
+    const [again] = run(shaft, dash.at(-1), [{ x: 1, jump: false, dash: true }], 1, physics);
+    assert.equal(again.dashFrames, 0);
+    assert.ok(again.velY > 0);
+
+    // And we can't dash from the ground.
+    const [grounded] = run(shaft, standing(3, 7, physics), [{ x: 1, jump: false, dash: true }], 1, physics);
+    assert.equal(grounded.dashUsed, false);
+});
+
+/**
+ * Sets up a character moving several tiles in one frame, so a check of only where it ends up would skip right past
+ * anything thin in between.
+ * @param {Number} fromX Horizontal position at the start of the frame.
+ * @param {Number} fromY Vertical position at the start of the frame.
+ * @param {Number} toX Horizontal position at the end of the frame, if nothing gets in the way.
+ * @param {Number} toY Vertical position at the end of the frame, if nothing gets in the way.
+ * @returns {CharacterState} The character state, ready for collision handling.
+ */
+function moving(fromX, fromY, toX, toY) {
+    const state = new CharacterState(fromX, fromY);
+    state.x = toX;
+    state.y = toY;
+    state.velX = (toX - fromX) / controller.dt;
+    state.velY = (toY - fromY) / controller.dt;
+    return state;
+}
+
+test("falling fast lands on a thin floor rather than passing through it", () => {
+    const map = new MapChunk(10, 20);
+    map.fill(Tile.SOLID, 0, 10, 9, 10);
+
+    const state = moving(4, 6, 4, 14);
+    controller.handleCollision(state, map);
+    assert.equal(state.y, 10 - controller.height);
+    assert.deepEqual(state.collision, { x: 0, y: 1 });
+    assert.ok(state.isOnGround());
+});
+
+test("moving fast stops at a thin wall rather than passing through it", () => {
+    const map = new MapChunk(20, 10);
+    map.fill(Tile.SOLID, 10, 0, 10, 9);
+
+    const state = moving(5, 4, 15, 4);
+    controller.handleCollision(state, map);
+    assert.equal(state.x, 10 - controller.width);
+    assert.deepEqual(state.collision, { x: 1, y: 0 });
+});
+
+test("falling fast diagonally lands on a short platform it crosses on the way", () => {
+    const map = new MapChunk(20, 20);
+    map.fill(Tile.SOLID, 8, 10, 10, 10);
+
+    // Straight through the platform, from above-left to below-right. We end up well past it, so only
+    // checking where we were as our feet crossed its row can catch it.
+    const state = moving(5, 5, 14, 15);
+    controller.handleCollision(state, map);
+    assert.equal(state.y, 10 - controller.height);
+    assert.deepEqual(state.collision, { x: 0, y: 1 });
+});
+
+test("jumping fast bumps a thin ceiling rather than passing through it", () => {
+    const map = new MapChunk(10, 20);
+    map.fill(Tile.SOLID, 0, 5, 9, 5);
+
+    const state = moving(4, 12, 4, 1);
+    controller.handleCollision(state, map);
+    assert.equal(state.y, 6);
+    assert.deepEqual(state.collision, { x: 0, y: -1 });
+});
+
+test("a jump follows the same arc whatever the simulation rate", () => {
+    for (const simulationRate of [30, 60, 120]) {
+        const physics = withAbilities({ simulationRate });
+        const start = standing(3, 7, physics);
+        const states = run(room, start, () => ({ x: 0, jump: true }), 3 * simulationRate, physics);
+        const airborne = states.findIndex((state, i) => i > 0 && state.isOnGround()) * physics.dt;
+
+        assert.equal(physics.dt, 1 / simulationRate);
+        assert.ok(Math.abs(apex(start.y, states) - physics.jumpHeight) < 0.25, `${simulationRate} Hz apex ${apex(start.y, states)}`);
+        assert.ok(Math.abs(airborne - physics.jumpDuration()) <= 2 / 30, `${simulationRate} Hz landed after ${airborne}s`);
+    }
+});
+
+test("frame counts and per-step chances are converted to match the simulation rate", () => {
+    const slow = withAbilities({ simulationRate: 30 });
+    const fast = withAbilities({ simulationRate: 60 });
+    assert.equal(fast.coyoteFrames, 2 * slow.coyoteFrames);
+
+    // At the rate the chances were tuned for, they're left alone...
+    assert.equal(slow.stepChance(0.1), 0.1);
+    // ...and faster, each step's chance shrinks so the event still happens as often per second.
+    const perStep = fast.stepChance(0.1);
+    assert.ok(perStep < 0.1);
+    assert.ok(Math.abs((1 - perStep) ** 2 - 0.9) < 1e-12);
+    assert.equal(fast.stepChance(0.1), perStep);
+});
+
+// Two 45° slopes up onto a ledge, and a gentle slope up onto another, across two tiles.
+const ramp = level([
+    "........",
+    "........",
+    "........",
+    "........",
+    "........",
+    "...../##",
+    "..../###",
+    "########",
+]);
+const gentleRamp = level([
+    "........",
+    "........",
+    "...uU###",
+    "########",
+]);
+
+/**
+ * Finds where the ground is under the middle of a character: the surface of a slope they're over, or the top of the row below.
+ * @param {MapChunk} map Map to look in.
+ * @param {CharacterState} state The character.
+ * @returns {Number} Vertical coordinate of the ground.
+ */
+function groundUnder(map, state) {
+    const footX = state.x + controller.width / 2;
+    const feet = state.y + controller.height;
+    return map.slopeSurfaceAt(Math.floor(footX), Math.floor(feet - 0.001), footX % 1)
+        ?? map.slopeSurfaceAt(Math.floor(footX), Math.floor(feet), footX % 1)
+        ?? Math.round(feet);
+}
+
+test("standing still on a slope stays put on its surface, without sliding down", () => {
+    const start = new CharacterState(4.5 - controller.width / 2, 5);
+    const states = run(ramp, start, () => ({ x: 0, jump: false }), 30);
+
+    const end = states.at(-1);
+    assert.ok(end.isOnGround() && end.onSlope);
+    assert.ok(Math.abs(end.x - start.x) < 0.001, `slid to ${end.x}`);
+    assert.ok(Math.abs(end.y + controller.height - 6.5) < 0.001, `feet at ${end.y + controller.height}`);
+});
+
+for (const [name, map, top] of [["a slope", ramp, 5], ["a gentle slope", gentleRamp, 2]]) {
+    test(`walking up and back down ${name} keeps our feet on the ground all the way`, () => {
+        const bottom = map.getDimensions().rows - 1;
+        const up = run(map, standing(0.5, bottom - 1), () => ({ x: 1, jump: false }), 45);
+        const down = run(map, up.at(-1), () => ({ x: -1, jump: false }), 45);
+
+        for (const [i, state] of [...up, ...down].entries()) {
+            assert.ok(state.isOnGround(), `in the air on frame ${i}`);
+            assert.ok(Math.abs(state.y + controller.height - groundUnder(map, state)) < 0.001,
+                `feet at ${state.y + controller.height} on frame ${i}, ground at ${groundUnder(map, state)}`);
+        }
+        assert.equal(up.at(-1).y + controller.height, top);
+        assert.equal(up.at(-1).velX, controller.runSpeed, "nothing slowed us down");
+        assert.equal(down.at(-1).y + controller.height, bottom);
+    });
+}
+
+test("jumping up through a one-way platform lands on top of it", () => {
+    const map = level([
+        "........",
+        "........",
+        "........",
+        "........",
+        "..====..",
+        "........",
+        "........",
+        "########",
+    ]);
+    // (Letting go at the top, so we don't jump again once we land)
+    const hold = Math.ceil(controller.timeToPeak / controller.dt);
+    const states = run(map, standing(3, 6), i => ({ x: 0, jump: i < hold }), 90);
+
+    assert.ok(states.every(state => state.collision?.y !== -1), "bumped our head");
+    assert.ok(apex(standing(3, 6).y, states) > 3, "jumped up past the platform");
+    const end = states.at(-1);
+    assert.ok(end.isOnGround());
+    assert.equal(end.y + controller.height, 4);
+
+    // A solid platform would have stopped us on the way up instead.
+    const blocked = run(level(map.toText().replaceAll("=", "#").split("\n")), standing(3, 6), i => ({ x: 0, jump: i < hold }), 90);
+    assert.ok(blocked.some(state => state.collision?.y === -1));
+    assert.equal(blocked.at(-1).y + controller.height, 7);
+});
+
+test("walking off a one-way platform drops to the ground, and falling onto one from above lands on it", () => {
+    const map = level([
+        "............",
+        "............",
+        "===.........",
+        "............",
+        "............",
+        "############",
+    ]);
+    const states = run(map, standing(0, 1), () => ({ x: 1, jump: false }), 60);
+    const landed = states.findIndex(state => state.isOnGround() && Math.abs(state.y + controller.height - 5) < 0.001);
+    assert.ok(landed > 0, "reaches the floor");
+    assert.ok(states.slice(0, landed).some(state => !state.isOnGround()), "falls on the way");
+
+    const caught = run(map, falling(1, 0), () => ({ x: 0, jump: false }), 30).at(-1);
+    assert.ok(caught.isOnGround());
+    assert.equal(caught.y + controller.height, 2);
+});
+
+// A ladder up to a ledge.
+const ladder = level([
+    "........",
+    "........",
+    "..H#####",
+    "..H.....",
+    "..H.....",
+    "..H.....",
+    "..H.....",
+    "########",
+]);
+
+test("pushing up in front of a ladder grabs it, and climbs to the top to stand on it", () => {
+    const states = run(ladder, standing(1.8, 6), () => ({ x: 0, y: -1, jump: false }), 90);
+
+    // (We only notice the ladder once we've collided with the map, so the grab comes on the second frame)
+    const [, grab] = states;
+    assert.ok(grab.climbing);
+    assert.equal(grab.x, 2.5 - controller.width / 2, "lines up with the ladder");
+    assert.equal(grab.velY, -controller.climbSpeed);
+    assert.ok(states.slice(1, 20).every(state => state.climbing && state.velX === 0));
+
+    const top = states.at(-1);
+    assert.equal(top.climbing, false, "lets go at the top");
+    assert.ok(top.isOnGround());
+    assert.equal(top.y + controller.height, 2);
+});
+
+test("pushing down on top of a ladder climbs down it, and jumping lets go", () => {
+    const states = run(ladder, standing(2, 1), i => ({ x: 0, y: 1, jump: i === 15 }), 16);
+    assert.ok(states[1].climbing, "grabs on from above");
+    assert.ok(states[14].climbing && states[14].y > states[1].y + 1, "climbs down through the top");
+
+    const jump = states[15];
+    assert.equal(jump.climbing, false);
+    assert.ok(jump.velY < 0);
+
+    // Without pushing down, the top of the ladder is just floor.
+    const stood = run(ladder, standing(2, 1), () => ({ x: 0, jump: false }), 30).at(-1);
+    assert.ok(stood.isOnGround() && !stood.climbing);
+    assert.equal(stood.y + controller.height, 2);
+});
@@ -0,0 +1,207 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { MapChunk, Tile } from "../tilemap.js";
+import { CharacterController } from "../platformer.js";
+import { PlaySession } from "../play.js";
+
+const controller = new CharacterController();
+controller.update();
+
+const RIGHT = { x: 1, jump: false };
+const STILL = { x: 0, jump: false };
+
+/**
+ * Starts a run through a level written out as text.
+ * @param {string[]} rows The level, one string per row (see MapChunk.toText).
+ * @returns {PlaySession} The new run.
+ */
+function play(rows) {
+    return new PlaySession(MapChunk.fromText(rows.join("\n")), controller);
+}
+
+/**
+ * Holds the same input until the run ends, or a time limit passes.
+ * @param {PlaySession} session Run to play.
+ * @param {InputState} input What the player presses every frame.
+ * @param {Number} [frames=300] Most frames to play.
+ * @returns {PlayStatus} How the run stands afterward.
+ */
+function hold(session, input, frames = 300) {
+    for (let i = 0; i < frames && session.status === "playing"; i++) session.update(input);
+    return session.status;
+}
+
+test("the player starts standing on the floor of the start sign's cell", () => {
+    const session = play([
+        "........",
+        "..S....F",
+        "########",
+    ]);
+    assert.equal(session.state.x, 2);
+    assert.ok(Math.abs(session.state.y + controller.height - 2) < 0.001);
+    assert.ok(session.state.isOnGround());
+
+    // Standing still, nothing happens.
+    assert.equal(hold(session, STILL, 30), "playing");
+    assert.ok(Math.abs(session.state.y + controller.height - 2) < 0.001);
+});
+
+test("reaching the goal flag wins", () => {
+    const session = play([
+        "..........",
+        "S........F",
+        "##########",
+    ]);
+    assert.equal(hold(session, RIGHT), "won");
+    assert.ok(session.state.x + controller.width > 9);
+});
+
+test("falling out of the bottom of the map is fatal, and ends the run", () => {
+    const session = play([
+        "..........",
+        "S........F",
+        "###.......",
+    ]);
+    assert.equal(hold(session, RIGHT), "dead");
+    assert.ok(session.state.y > 3);
+
+    // Once it's over, nothing moves any more.
+    const { frames, state } = session;
+    assert.equal(session.update(RIGHT), "dead");
+    assert.equal(session.frames, frames);
+    assert.equal(session.state, state);
+});
+
+test("the sides of the map are walls", () => {
+    const session = play([
+        "..........",
+        "S........F",
+        "##########",
+    ]);
+    hold(session, { x: -1, jump: false }, 30);
+    assert.equal(session.state.x, 0);
+    assert.equal(session.status, "playing");
+});
+
+test("restarting puts everything back the way the run started", () => {
+    const session = play([
+        "..........",
+        "S........F",
+        "###.......",
+    ]);
+    hold(session, RIGHT);
+    session.restart();
+
+    assert.equal(session.status, "playing");
+    assert.equal(session.frames, 0);
+    assert.equal(session.score, 0);
+    assert.equal(session.state.x, 0);
+    assert.equal(session.map.getTileAt(0, 1), Tile.START_SIGN);
+});
+
+test("landing on an enemy stomps it, scores it, and bounces the player", () => {
+    const session = play([
+        ".......",
+        ".......",
+        ".......",
+        "S..E..F",
+        "#######",
+    ]);
+    const [enemy] = session.entities;
+
+    // Drop the player in from just above the enemy.
+    session.state.x = session.state.prevX = 3;
+    session.state.y = session.state.prevY = 1.5;
+    session.state.framesOnGround = 0;
+    for (let i = 0; i < 30 && enemy.alive; i++) session.update(STILL);
+
+    assert.equal(enemy.alive, false);
+    assert.equal(session.status, "playing");
+    assert.equal(session.score, 200);
+    assert.ok(session.state.velY < 0, "bounces up");
+
+    // A defeated enemy is harmless, and comes back when the level restarts.
+    assert.equal(hold(session, RIGHT), "won");
+    session.restart();
+    assert.equal(session.entities[0].alive, true);
+});
+
+test("walking into an enemy is fatal", () => {
+    const session = play([
+        ".......",
+        "S..E..F",
+        "#######",
+    ]);
+    assert.equal(hold(session, RIGHT), "dead");
+    assert.equal(session.entities[0].alive, true);
+    assert.equal(session.score, 0);
+});
+
+test("bumping a ! Box from below spends it, pops out its coin, and scores", () => {
+    const session = play([
+        ".......",
+        "...!...",
+        ".......",
+        ".......",
+        "...S..F",
+        "#######",
+    ]);
+    for (let i = 0; i < 30 && session.state.collision?.y !== -1; i++) session.update({ x: 0, jump: true });
+
+    assert.equal(session.level.getTileAt(3, 1), Tile.WOOD_BOX);
+    assert.equal(session.level.getTileAt(3, 0), Tile.COIN);
+    assert.equal(session.score, 50);
+
+    // The spent box stays spent, and gives nothing more.
+    hold(session, STILL, 30);
+    for (let i = 0; i < 30 && session.state.collision?.y !== -1; i++) session.update({ x: 0, jump: true });
+    assert.equal(session.state.collision?.y, -1);
+    assert.equal(session.score, 50);
+
+    // The level itself is left as it was, to replay.
+    assert.equal(session.map.getTileAt(3, 1), Tile.EXCLAMATION_BOX);
+    assert.equal(session.map.getTileAt(3, 0), Tile.NONE);
+});
+
+test("walking through collectibles picks them up and scores them", () => {
+    const session = play([
+        ".........",
+        "S.oog...F",
+        "#########",
+    ]);
+    assert.equal(hold(session, RIGHT), "won");
+    assert.equal(session.collected, 3);
+    assert.equal(session.score, 100 + 100 + 250);
+    for (let x = 2; x <= 4; x++) assert.equal(session.level.getTileAt(x, 1), Tile.NONE);
+
+    // Restarting brings them back.
+    session.restart();
+    assert.equal(session.collected, 0);
+    assert.equal(session.level.getTileAt(2, 1), Tile.COIN);
+});
+
+test("advancing by real time runs fixed physics steps, carrying the leftovers over", () => {
+    const rows = [
+        "..........",
+        "S........F",
+        "##########",
+    ];
+    const stepped = play(rows);
+    for (let i = 0; i < 30; i++) stepped.update(RIGHT);
+
+    // A second (and half a step, to stay clear of rounding) of uneven display frames,
+    // some shorter than a physics step and some longer.
+    const timed = play(rows);
+    const frameTimes = [0.01, 0.05, 0.02, 0.1, 0.004, 0.016, 0.2, 0.25, 0.2, 0.15];
+    frameTimes.push(1 + controller.dt / 2 - frameTimes.reduce((sum, seconds) => sum + seconds));
+    const steps = frameTimes.map(seconds => timed.advance(seconds, RIGHT));
+
+    assert.deepEqual(steps.slice(0, 4), [0, 1, 1, 3]);
+    assert.equal(timed.frames, 30);
+    assert.equal(timed.state.x, stepped.state.x);
+
+    // Long pauses are only caught up on up to maxCatchUp at a time.
+    const paused = play(rows);
+    assert.equal(paused.advance(5, RIGHT), Math.floor(paused.maxCatchUp / controller.dt));
+});
@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { MapChunk, Tile } from "../tilemap.js";
+import { CharacterController } from "../platformer.js";
+import { SearchPlanner } from "../searchplanner.js";
+import { Pather } from "../pather.js";
+import { MapSkinner } from "../skinner.js";
+import { Random } from "../random.js";
+
+const controller = new CharacterController();
+const planner = new SearchPlanner(controller);
+controller.postUpdate = planner.update.bind(planner);
+controller.update();
+
+/**
+ * Searches for a path on a fresh 50x20 map.
+ * @param {Number} seed Seed for the planner's random numbers.
+ * @returns {{map: string, frames: Number[][]}} The planned map as text, and where the character was on each frame of the path.
+ */
+function plan(seed) {
+    const map = new MapChunk(50, 20);
+    assert.ok(planner.planPath(map, 50, new Random(seed)), `seed ${seed} should find a path`);
+    return { map: map.toText(), frames: planner.successfulPath.map(state => [state.x, state.y]) };
+}
+
+/**
+ * Makes a fresh 50x20 map with the designer constraints from the demo: a hand-built ledge with a waypoint on it,
+ * and a region below and to its right to keep out of - plus a second waypoint back to the left, so the path has to double back.
+ * @returns {MapChunk} The map, ready to plan a path on.
+ */
+function constrainedMap() {
+    const ledge = new MapChunk(5, 2);
+    ledge.fill(Tile.CASTLE_BRICK, 0, 1, 4, 1);
+    ledge.place(Tile.GEM, 2, 0);
+    return new MapChunk(50, 20)
+        .addPrebuilt(ledge, 20, 7)
+        .addWaypoint(22, 7)
+        .addWaypoint(10, 12)
+        .addKeepOut(32, 11, 6, 9);
+}
+
+/**
+ * Finds which cells a character covers.
+ * @param {CharacterState} state The character.
+ * @returns {Number[]} Its leftmost and rightmost columns, then its top and bottom rows, as for Pather.touches.
+ */
+function bounds(state) {
+    return [state.leftTile(), state.rightTile(controller.width), state.topTile(), state.bottomTile(controller.height)];
+}
+
+test("the same seed searches out the same path", () => {
+    for (const seed of [1, 2, 3]) assert.deepEqual(plan(seed), plan(seed));
+});
+
+test("different seeds search out different paths", () => {
+    assert.notEqual(plan(1).map, plan(2).map);
+});
+
+test("a searched path replays frame for frame through the character physics", () => {
+    const skinner = new MapSkinner();
+    for (const seed of [1, 2, 3]) {
+        const map = new MapChunk(50, 20);
+        assert.ok(planner.planPath(map, 50, new Random(seed)), `seed ${seed} should find a path`);
+        assert.deepEqual(skinner.checkTraversal(map, planner.successfulPath, controller), [], `seed ${seed}`);
+    }
+});
+
+test("a searched path visits the waypoints in order, and stays out of keep-out regions", () => {
+    for (const seed of [2, 4]) {
+        const map = constrainedMap();
+        assert.ok(planner.planPath(map, 50, new Random(seed)), `seed ${seed} should find a path`);
+        const path = planner.successfulPath;
+        const [first, second] = map.constraints.waypoints;
+
+        const reachedFirst = path.findIndex(state => Pather.touches(first, ...bounds(state)));
+        assert.ok(reachedFirst >= 0, `seed ${seed} never reached (${first.x}, ${first.y})`);
+        assert.ok(path.slice(reachedFirst).some(state => Pather.touches(second, ...bounds(state))),
+            `seed ${seed} never reached (${second.x}, ${second.y}) afterward`);
+
+        for (const [frame, state] of path.entries()) {
+            const [left, right, top, bottom] = bounds(state);
+            for (let x = left; x <= right; x++) {
+                for (let y = top; y <= bottom; y++) assert.equal(map.keepOutAt(x, y), -1, `seed ${seed} frame ${frame} at (${x}, ${y})`);
+            }
+        }
+
+        // The hand-built ledge is left as it was.
+        assert.equal(map.getTileAt(22, 7), Tile.GEM);
+        for (let x = 20; x < 25; x++) assert.equal(map.getTileAt(x, 8), Tile.CASTLE_BRICK);
+        assert.deepEqual(new MapSkinner().checkTraversal(map, path, controller), [], `seed ${seed}`);
+    }
+});
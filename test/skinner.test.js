@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { MapChunk, tileRegistry } from "../tilemap.js";
+import { CharacterController } from "../platformer.js";
+import { Pather } from "../pather.js";
+import { MapSkinner } from "../skinner.js";
+import { Random } from "../random.js";
+import { Themes } from "../themes.js";
+
+// Set up the generator the way the demos and generate.js do.
+const controller = new CharacterController();
+const pather = new Pather(controller);
+controller.postUpdate = pather.update.bind(pather);
+controller.update();
+
+/**
+ * Plans and skins a 50x20 level from one seed.
+ * @param {Number} seed Seed for both the path and the skin.
+ * @param {Theme|null} [theme] Theme to dress the level in.
+ * @returns {{map: MapChunk, skinner: MapSkinner, planProblems: TraversalProblem[]}} The skinned level, the skinner
+ * that dressed it, and the frames that didn't replay on the plan before skinning.
+ */
+function skinSeed(seed, theme = null) {
+    const map = new MapChunk(50, 20);
+    assert.ok(pather.planPath(map, 50, new Random(seed)), `seed ${seed} should find a path`);
+
+    const skinner = new MapSkinner();
+    skinner.theme = theme;
+    const planProblems = skinner.checkTraversal(map, pather.successfulPath, controller);
+    skinner.skinMap(map, pather.successfulPath, controller, new Random(seed));
+    return { map, skinner, planProblems };
+}
+
+// These seeds used to come out with the skin blocking a frame or two that rolling back missed,
+// like the floor under a landing, or the wall beside a move that got stopped.
+for (const seed of [1, 2, 6]) {
+    test(`skinning seed ${seed} adds no problems the plan didn't already have`, () => {
+        const { map, skinner, planProblems } = skinSeed(seed);
+
+        assert.deepEqual(skinner.traversalProblems, []);
+        assert.deepEqual(skinner.planProblems, planProblems);
+        assert.equal(skinner.checkTraversal(map, pather.successfulPath, controller).length, planProblems.length);
+    });
+}
+
+test("rolling back puts the plan back where the skin got in the path's way", () => {
+    // Seed 1's skin puts something in the path's way, so it has to be rolled back.
+    const { map, skinner } = skinSeed(1);
+    assert.ok(skinner.rolledBack.length > 0);
+
+    // Whatever got rolled back is clear of the path again, so it plays out as planned.
+    assert.deepEqual(skinner.checkTraversal(map, pather.successfulPath, controller), []);
+});
+
+test("the same seed skins the same level", () => {
+    for (const seed of [1, 2, 3]) assert.equal(skinSeed(seed).map.toText(), skinSeed(seed).map.toText());
+});
+
+/**
+ * Lists every slope in a map, row by row.
+ * @param {MapChunk} map Map to search.
+ * @returns {Symbol[]} The slope tiles.
+ */
+function slopesIn(map) {
+    return Array.from(map.toText().replace(/\n/g, ""))
+        .map(character => tileRegistry.fromCharacter(character))
+        .filter(tile => tileRegistry.get(tile).slope);
+}
+
+// Seeds 2 and 3 plan steep and gentle slopes for the path, so there's something to dress.
+for (const name of ["cave", "castle"]) {
+    test(`${name} levels have their slopes in the ${name}'s look, not grass`, () => {
+        const theme = Themes[name];
+        for (const seed of [2, 3]) {
+            const { map, skinner } = skinSeed(seed, theme);
+            const slopes = slopesIn(map);
+            assert.ok(slopes.length > 0, `seed ${seed} should have slopes`);
+            for (const slope of slopes) assert.ok(Array.from(theme.slopes.values()).includes(slope), `seed ${seed}: ${String(slope)}`);
+
+            // They're the same shapes, so the path plays out the same.
+            assert.deepEqual(skinner.traversalProblems, []);
+        }
+    });
+}
+
+test("unthemed and grassland levels keep the plain slopes", () => {
+    // The themes' slopes are keyed by the plain ones.
+    const plain = Array.from(Themes.cave.slopes.keys());
+    for (const theme of [null, Themes.grassland]) {
+        const slopes = slopesIn(skinSeed(2, theme).map);
+        assert.ok(slopes.length > 0);
+        for (const slope of slopes) assert.ok(plain.includes(slope), String(slope));
+    }
+});
@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { MapChunk, Tile, TileLibrary } from "../tilemap.js";
+import { exportTiled, importTiled, drawTiledSheet } from "../tiled.js";
+
+// A headless library with a stand-in image for every tile that has one. The slime is taller than the grid,
+// like sprites that overhang their cell.
+const tiles = new TileLibrary();
+tiles.createTileset(TileLibrary.DEFAULT_TILESET, 70);
+for (const tile of Object.values(Tile)) {
+    const name = Symbol.keyFor(tile);
+    if (name) tiles.addImage(tile, { name, width: 70, height: tile === Tile.PINK_SLIME ? 90 : 70 });
+}
+
+/**
+ * Builds a small level with some of everything: terrain, slopes, a ladder and a one-way platform,
+ * plus the coins, enemies and markers that become Tiled objects.
+ * @returns {MapChunk} The level.
+ */
+function level() {
+    return MapChunk.fromText([
+        "..........",
+        ".....o....",
+        "...====H..",
+        ".S.E...H.F",
+        "######/###",
+        "##########",
+    ].join("\n"));
+}
+
+test("a level comes back from Tiled the way it went in", () => {
+    const map = level();
+    const loaded = importTiled(JSON.stringify(exportTiled(map, tiles)));
+    assert.equal(loaded.toText(), map.toText());
+});
+
+test("the tileset points at one sprite sheet, named for the tileset unless we say otherwise", () => {
+    assert.equal(exportTiled(level(), tiles).tilesets[0].image, "pathfirst.png");
+    assert.equal(exportTiled(level(), tiles, { tilesetName: "cave" }).tilesets[0].image, "cave.png");
+    assert.equal(exportTiled(level(), tiles, { image: "art/sheet.png" }).tilesets[0].image, "art/sheet.png");
+});
+
+test("the sprite sheet has each tile where the tileset says it is", t => {
+    // Record what gets drawn, in place of a real canvas.
+    const draws = [];
+    const context = { drawImage: (image, sx, sy, sw, sh, x, y) => draws.push({ name: image.name, x, y, height: sh }) };
+    const createCanvas = MapChunk.createCanvas;
+    MapChunk.createCanvas = (width, height) => ({ width, height, getContext: () => context });
+    t.after(() => { MapChunk.createCanvas = createCanvas; });
+
+    const [tileset] = exportTiled(level(), tiles).tilesets;
+    const sheet = drawTiledSheet(tiles);
+    assert.equal(sheet.width, tileset.imagewidth);
+    assert.equal(sheet.height, tileset.imageheight);
+    assert.equal(draws.length, tileset.tilecount);
+
+    // The cells fit the tallest sprite, and every picture sits in the bottom-left corner of its cell.
+    assert.equal(tileset.tileheight, 90);
+    for (const entry of tileset.tiles) {
+        const name = entry.properties.find(property => property.name === "tile").value;
+        const draw = draws.find(draw => draw.name === name);
+        assert.equal(draw.x, (entry.id % tileset.columns) * tileset.tilewidth, name);
+        assert.equal(draw.y + draw.height, (Math.floor(entry.id / tileset.columns) + 1) * tileset.tileheight, name);
+    }
+});
@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Tile, TileLibrary } from "../tilemap.js";
+
+/**
+ * Makes a stand-in for an IMG element that's still loading, which we can finish loading by hand.
+ * @returns {{complete: boolean, width: Number, height: Number}} The stand-in image.
+ */
+function loadingImage() {
+    return { complete: false, width: 70, height: 70 };
+}
+
+test("ready resolves once every image has loaded", async () => {
+    let loaded = 0;
+    const library = new TileLibrary(() => loaded++);
+    library.createTileset(TileLibrary.DEFAULT_TILESET, 70);
+
+    const coin = loadingImage();
+    library.addImage(Tile.COIN, coin);
+    library.addImage(Tile.GEM, { width: 70, height: 70 });
+    assert.equal(library.hasLoaded(), false);
+
+    coin.onload();
+    assert.equal(await library.ready, library);
+    assert.equal(library.hasLoaded(), true);
+    assert.equal(loaded, 1);
+});
+
+test("ready rejects, naming the tile, when an image fails to load", async () => {
+    let loaded = 0;
+    const library = new TileLibrary(() => loaded++);
+    library.createTileset(TileLibrary.DEFAULT_TILESET, 70);
+
+    const coin = loadingImage();
+    const gem = loadingImage();
+    library.addImage(Tile.COIN, coin);
+    library.addImage(Tile.GEM, gem);
+    coin.onerror();
+    gem.onload();
+
+    await assert.rejects(library.ready, error => {
+        assert.match(error.message, /^Failed to load tiles: .*coin.*"default"/);
+        assert.equal(error.cause.length, 1);
+        return true;
+    });
+    assert.equal(library.hasLoaded(), false);
+    assert.equal(library.getErrors().length, 1);
+    assert.equal(loaded, 0);
+});
+
+test("ready rejects when a sprite sheet fails to load, and the tileset is never half-made", async () => {
+    const library = new TileLibrary(undefined, { loadImage: url => Promise.reject(new Error(`Could not load image "${url}".`)) });
+    const atlas = { tileSize: 70, frames: { coin: { x: 0, y: 0, w: 70, h: 70 } } };
+
+    await assert.rejects(library.loadAtlas("castle", "castle.png", atlas), /castle\.png/);
+    await assert.rejects(library.ready, /Failed to load tiles: Could not load image "castle\.png"/);
+    assert.deepEqual(library.getTilesetNames(), []);
+});
+
+test("ready rejects when an atlas is missing its frames or tile size", async () => {
+    const library = new TileLibrary(undefined, { loadImage: async () => ({ width: 140, height: 70 }) });
+
+    await assert.rejects(library.loadAtlas("castle", "castle.png", { frames: {} }), /positive "tileSize"/);
+    await assert.rejects(library.ready, /Failed to load tiles/);
+});
+
+test("a loaded atlas cuts each tile from the sheet, ignoring file extensions", async () => {
+    const sheet = { width: 140, height: 70 };
+    const library = new TileLibrary(undefined, { loadImage: async () => sheet });
+    await library.loadAtlas("castle", "castle.png", {
+        meta: { tileSize: 70 },
+        frames: { "coin.png": { frame: { x: 70, y: 0, w: 70, h: 70 } }, gem: { x: 0, y: 0, w: 70, h: 70 } },
+    });
+
+    const castle = library.getTileset("castle");
+    assert.equal(await library.ready, library);
+    assert.deepEqual(castle.getFrame(Tile.COIN), { image: sheet, x: 70, y: 0, width: 70, height: 70 });
+    assert.deepEqual(castle.getFrame(Tile.GEM), { image: sheet, x: 0, y: 0, width: 70, height: 70 });
+});
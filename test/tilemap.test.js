@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { MapChunk, Tile, tileRegistry } from "../tilemap.js";
+import { SOLID_RESERVATION, PLAYER_RESERVATION, WALL_RESERVATION, ONE_WAY_RESERVATION, LADDER_RESERVATION } from "../pather.js";
+
+// Every tile there is, plus the pather's reservations, which save as themselves.
+const tiles = [
+    ...Object.values(Tile),
+    SOLID_RESERVATION, PLAYER_RESERVATION, WALL_RESERVATION, ONE_WAY_RESERVATION, LADDER_RESERVATION,
+];
+
+/**
+ * Builds a map holding each of the tiles once, along the top row, with empty space below.
+ * @returns {MapChunk} The map.
+ */
+function everyTile() {
+    const map = new MapChunk(tiles.length, 2);
+    tiles.forEach((tile, x) => map.place(tile, x, 0));
+    return map;
+}
+
+/**
+ * Checks two maps hold the same tiles.
+ * @param {MapChunk} actual Map to check.
+ * @param {MapChunk} expected Map it should match.
+ */
+function assertSameTiles(actual, expected) {
+    const { columns, rows } = expected.getDimensions();
+    assert.deepEqual(actual.getDimensions(), { columns, rows });
+    for (let x = 0; x < columns; x++) {
+        for (let y = 0; y < rows; y++) {
+            assert.equal(actual.getTileAt(x, y), expected.getTileAt(x, y), `tile at (${x}, ${y})`);
+        }
+    }
+}
+
+test("every tile has a text character of its own", () => {
+    const characters = new Set();
+    for (const tile of Object.values(Tile)) {
+        const { character } = tileRegistry.get(tile);
+        assert.equal(typeof character, "string", String(tile));
+        assert.equal(tileRegistry.fromCharacter(character), tile);
+        characters.add(character);
+    }
+    assert.equal(characters.size, Object.values(Tile).length);
+});
+
+test("every tile survives a trip through text", () => {
+    const map = everyTile();
+    assertSameTiles(MapChunk.fromText(map.toText()), map);
+});
+
+test("saved maps are plain ASCII", () => {
+    assert.match(everyTile().toText(), /^[!-~\n]+$/);
+});
+
+test("loading text with a character no tile uses says where it is", () => {
+    assert.throws(() => MapChunk.fromText("...\n.?.\n###"), /row 1, column 1 .*"\?"/);
+});
+
+test("tiles can't claim characters outside printable ASCII", () => {
+    assert.throws(() => tileRegistry.define("▀", { character: "▀" }), /printable ASCII/);
+});
+
+test("every tile survives a trip through JSON, along with the designer's constraints", () => {
+    const map = everyTile();
+    map.addWaypoint(1, 1);
+    map.addKeepOut(2, 1, 3, 1);
+
+    const loaded = MapChunk.fromJSON(JSON.stringify(map));
+    assertSameTiles(loaded, map);
+    assert.deepEqual(loaded.constraints, map.constraints);
+});
+
+test("findTile finds the first of a tile, scanning columns left to right", () => {
+    const map = MapChunk.fromText([
+        "...o",
+        ".o..",
+        "o...",
+    ].join("\n"));
+    assert.deepEqual(map.findTile(Tile.COIN), { x: 0, y: 2 });
+    assert.equal(map.findTile(Tile.GEM), null);
+});
@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Tile, TileRegistry, tileRegistry } from "../tilemap.js";
+
+const LAVA = Symbol("lava");
+const SPIKES = Symbol("spikes");
+
+test("defined tiles take the defaults for anything they leave out", () => {
+    const registry = new TileRegistry().define(LAVA, { hazard: true, character: 'L' });
+
+    const lava = registry.get(LAVA);
+    assert.equal(lava.hazard, true);
+    assert.equal(lava.character, 'L');
+    for (const property of ["solid", "standable", "oneWay", "climbable", "collectible", "decorative"])
+        assert.equal(lava[property], TileRegistry.defaults[property], property);
+    assert.ok(Object.isFrozen(lava));
+});
+
+test("tiles nobody defined behave like empty space", () => {
+    const registry = new TileRegistry();
+    assert.equal(registry.get(LAVA), TileRegistry.defaults);
+    assert.equal(registry.get("?"), TileRegistry.defaults);
+});
+
+test("tiles can be found by the character they save as", () => {
+    const registry = new TileRegistry()
+        .define(LAVA, { character: 'L' })
+        .define("x", { character: 'x' })
+        .define(SPIKES, {});
+
+    assert.equal(registry.fromCharacter('L'), LAVA);
+    assert.equal(registry.fromCharacter('x'), "x");
+    assert.equal(registry.fromCharacter('S'), undefined);
+});
+
+test("tiles can be found by skin role, in the order they were defined", () => {
+    const registry = new TileRegistry()
+        .define(LAVA, { skinRole: "enemy" })
+        .define(Tile.COIN, { skinRole: "collectible" })
+        .define(SPIKES, { skinRole: "enemy" });
+
+    assert.deepEqual(registry.withRole("enemy"), [LAVA, SPIKES]);
+    assert.deepEqual(registry.withRole("collectible"), [Tile.COIN]);
+    assert.deepEqual(registry.withRole("ladder"), []);
+});
+
+test("two tiles can't save as the same character", () => {
+    const registry = new TileRegistry().define(LAVA, { character: 'L' });
+    assert.throws(() => registry.define(SPIKES, { character: 'L' }), /"L" is already used by Symbol\(lava\)/);
+
+    // The original keeps its character, and redefining a tile with the character it already had is fine.
+    assert.equal(registry.fromCharacter('L'), LAVA);
+    registry.define(LAVA, { character: 'L', hazard: true });
+    assert.equal(registry.get(LAVA).hazard, true);
+});
+
+test("the shared registry knows the built-in tiles", () => {
+    assert.equal(tileRegistry.get(Tile.SOLID).solid, true);
+    assert.equal(tileRegistry.get(Tile.ONE_WAY_PLATFORM).oneWay, true);
+    assert.equal(tileRegistry.get(Tile.LADDER).climbable, true);
+    assert.equal(tileRegistry.get(Tile.GRASS_TOP_BLOCK).variantOf, Tile.SOLID);
+    assert.ok(tileRegistry.withRole("enemy").includes(Tile.PINK_SLIME));
+    assert.equal(tileRegistry.fromCharacter('#'), Tile.SOLID);
+});
@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { MapChunk } from "../tilemap.js";
+import { CharacterController } from "../platformer.js";
+import { ReachabilityValidator } from "../validator.js";
+import { PlaySession } from "../play.js";
+
+const controller = new CharacterController();
+controller.update();
+const validator = new ReachabilityValidator(controller);
+
+// A level with a jumpable gap and step.
+const gapAndStep = MapChunk.fromText([
+    "..............",
+    "..............",
+    "..............",
+    "..........###F",
+    "S.....#..#####",
+    "#####.########",
+].join("\n"));
+
+test("a level with a jumpable gap and step is beatable", () => {
+    const map = gapAndStep;
+
+    const report = validator.validate(map);
+    assert.equal(report.beatable, true);
+
+    // The winning run really is one: replaying its inputs from the start ends up at the flag.
+    let state = report.path[0];
+    for (const input of report.inputs) {
+        state = controller.step(state, input);
+        controller.handleCollision(state, map);
+        controller.keepInMap(state, map);
+    }
+    assert.ok(state.x + controller.width > 13);
+
+    // And it wins in play mode too.
+    const session = new PlaySession(map, controller);
+    for (const input of report.inputs) session.update(input);
+    assert.equal(session.status, "won");
+});
+
+test("a level walled off higher than we can jump is not", () => {
+    const map = MapChunk.fromText([
+        "......#.....",
+        "......#.....",
+        "......#.....",
+        "......#.....",
+        "......#.....",
+        "......#.....",
+        "S.....#....F",
+        "############",
+    ].join("\n"));
+
+    const report = validator.validate(map);
+    assert.equal(report.beatable, false);
+    assert.equal(report.exhausted, true);
+    assert.ok(!report.reached.has("11,6"));
+});
+
+test("a search that gives up early is inconclusive, rather than calling the level unbeatable", () => {
+    const hasty = new ReachabilityValidator(controller);
+    hasty.maxStates = 5;
+
+    const report = hasty.validate(gapAndStep);
+    assert.equal(report.beatable, false);
+    assert.equal(report.exhausted, false);
+    assert.equal(report.statesExplored, 5);
+});
+
+test("a level without a start sign can't be checked", () => {
+    assert.throws(() => validator.validate(MapChunk.fromText("...F\n####")), /start sign/);
+});
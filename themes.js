@@ -0,0 +1,108 @@
+// Biome themes for the MapSkinner: each one chooses the terrain, enemies, collectibles and
+// decorations a level is dressed in, so the same path generator can build levels for different worlds.
+
+import { Tile } from "./tilemap.js";
+
+/**
+ * A tile a theme may place, and how likely it is relative to the others in the same role.
+ * @typedef {Object} ThemeTile
+ * @property {Symbol} tile Tile to place.
+ * @property {Number} [weight=1] Relative chance of picking this tile over the others in its list.
+ */
+
+/**
+ * A rule for scattering purely visual tiles through the empty space of a level.
+ * @typedef {Object} DecorationRule
+ * @property {Symbol} tile Decorative tile to place.
+ * @property {string} placement "ground" to stand on top of solid ground, or "ceiling" to hang beneath it.
+ * @property {Number} probability Chance of placing it in each empty cell where it fits.
+ */
+
+/**
+ * Everything the skinner needs to dress a level in a particular style.
+ * Roles left out fall back to whatever the tile registry allows in that role (see TileDefinition.skinRole).
+ * @typedef {Object} Theme
+ * @property {string} name Name to show when choosing themes.
+ * @property {string} background CSS colour to paint behind the level.
+ * @property {ThemeTile[]} [terrain] Tiles to build platforms from. One is chosen per stretch of level.
+ * @property {ThemeTile[]} [oneWay] Tiles to build one-way platforms from, that can be jumped up through.
+ * @property {ThemeTile[]} [ladder] Tiles to build ladders from, along the path's climbs.
+ * @property {ThemeTile[]} [enemy] Tiles to place where an enemy can be stomped.
+ * @property {ThemeTile[]} [collectible] Tiles to place along the ground and jump arcs.
+ * @property {ThemeTile[]} [powerUp] Tiles to place where the player can bump them from below.
+ * @property {Map<Symbol, Symbol>} [slopes] Slopes in this theme's look, keyed by the plain slope of the same shape
+ * that the pather and skinner build (like Tile.SLOPE_UP). Slopes left out stay grassy.
+ * @property {DecorationRule[]} [decorations] Purely visual tiles to scatter through the level.
+ * @property {Object.<string, Number>} [probabilities] Overrides for the skinner's probabilities,
+ * like enemyProbability or coinProbability, while skinning with this theme.
+ */
+
+/**
+ * One stretch of a level skinned in a particular theme, for levels that change theme part-way along.
+ * @typedef {Object} ThemeBand
+ * @property {Number} fromColumn Leftmost column of the map this theme applies to.
+ * It continues until the next band's fromColumn.
+ * @property {Theme} theme Theme to use for this stretch.
+ */
+
+/** @type {Object.<string, Theme>} Built-in themes, keyed by name. */
+export const Themes = {
+    // The classic look: grass and dirt, slimes and coins, with a few flowers.
+    grassland: {
+        name: "Grassland",
+        background: "#D0E0FF",
+        terrain: [{ tile: Tile.SOLID }],
+        enemy: [{ tile: Tile.PINK_SLIME }],
+        collectible: [{ tile: Tile.COIN }],
+        powerUp: [{ tile: Tile.EXCLAMATION_BOX }],
+        decorations: [
+            { tile: Tile.FLOWER, placement: "ground", probability: 0.15 },
+        ],
+    },
+
+    // Dim underground caverns: stone, gems, and more enemies lurking in the dark.
+    cave: {
+        name: "Cave",
+        background: "#2E2A3A",
+        terrain: [{ tile: Tile.STONE_BLOCK }],
+        enemy: [{ tile: Tile.BLUE_SLIME, weight: 3 }, { tile: Tile.PINK_SLIME }],
+        collectible: [{ tile: Tile.GEM }],
+        powerUp: [{ tile: Tile.EXCLAMATION_BOX }],
+        slopes: new Map([
+            [Tile.SLOPE_UP, Tile.STONE_SLOPE_UP],
+            [Tile.SLOPE_DOWN, Tile.STONE_SLOPE_DOWN],
+            [Tile.GENTLE_SLOPE_UP_LOW, Tile.STONE_GENTLE_SLOPE_UP_LOW],
+            [Tile.GENTLE_SLOPE_UP_HIGH, Tile.STONE_GENTLE_SLOPE_UP_HIGH],
+            [Tile.GENTLE_SLOPE_DOWN_HIGH, Tile.STONE_GENTLE_SLOPE_DOWN_HIGH],
+            [Tile.GENTLE_SLOPE_DOWN_LOW, Tile.STONE_GENTLE_SLOPE_DOWN_LOW],
+        ]),
+        decorations: [
+            { tile: Tile.STALACTITE, placement: "ceiling", probability: 0.4 },
+            { tile: Tile.MUSHROOM, placement: "ground", probability: 0.1 },
+        ],
+        probabilities: { enemyProbability: 0.4, coinProbability: 0.1 },
+    },
+
+    // Castle halls: brick platforms hung with banners, and plenty of power-ups to find.
+    castle: {
+        name: "Castle",
+        background: "#5A4E4A",
+        terrain: [{ tile: Tile.CASTLE_BRICK }],
+        enemy: [{ tile: Tile.PINK_SLIME }, { tile: Tile.BLUE_SLIME }],
+        collectible: [{ tile: Tile.COIN }],
+        powerUp: [{ tile: Tile.EXCLAMATION_BOX }],
+        slopes: new Map([
+            [Tile.SLOPE_UP, Tile.CASTLE_SLOPE_UP],
+            [Tile.SLOPE_DOWN, Tile.CASTLE_SLOPE_DOWN],
+            [Tile.GENTLE_SLOPE_UP_LOW, Tile.CASTLE_GENTLE_SLOPE_UP_LOW],
+            [Tile.GENTLE_SLOPE_UP_HIGH, Tile.CASTLE_GENTLE_SLOPE_UP_HIGH],
+            [Tile.GENTLE_SLOPE_DOWN_HIGH, Tile.CASTLE_GENTLE_SLOPE_DOWN_HIGH],
+            [Tile.GENTLE_SLOPE_DOWN_LOW, Tile.CASTLE_GENTLE_SLOPE_DOWN_LOW],
+        ]),
+        decorations: [
+            { tile: Tile.BANNER, placement: "ceiling", probability: 0.25 },
+        ],
+        // Castles are built square, so we leave their steps as steps. Slopes the path itself needs are still cut in brick.
+        probabilities: { powerUpProbability: 0.35, platformExtendProbability: 0.6, slopeProbability: 0 },
+    },
+};
@@ -0,0 +1,285 @@
+// Conversion between our MapChunks and the JSON map format (.tmj) used by the Tiled map editor,
+// so generated levels can be polished by hand and then brought back into the game.
+// See https://doc.mapeditor.org/en/stable/reference/json-map-format/
+
+import { Tile, MapChunk, tileRegistry } from "./tilemap.js";
+
+// Tiles that Tiled should treat as placeable objects rather than terrain,
+// keyed to the object type name artists will see in Tiled.
+const TiledObjectTypes = new Map([
+    [Tile.COIN, "coin"],
+    [Tile.PINK_SLIME, "enemy"],
+    [Tile.GEM, "coin"],
+    [Tile.BLUE_SLIME, "enemy"],
+    [Tile.START_SIGN, "start"],
+    [Tile.GREEN_FLAG, "goal"],
+]);
+
+// Name of the custom tile property we use to record which Tile symbol a tileset entry represents.
+const TILED_TILE_PROPERTY = "tile";
+
+// Tiled packs flip/rotation flags into the top bits of each global tile ID. We ignore them.
+const TILED_GID_MASK = 0x1FFFFFFF;
+
+/**
+ * Options for exporting a map to Tiled.
+ * @typedef {Object} TiledExportOptions
+ * @property {string} [tilesetName="pathfirst"] Name of the generated tileset.
+ * @property {string} [image] File name (relative to the exported map) the tileset's sprite sheet should be saved as.
+ * The sheet itself comes from drawTiledSheet(). Defaults to the tileset name, as a .png.
+ * @property {string} [tileset] Which of the library's tilesets to describe. Uses the default tileset if absent.
+ */
+
+/**
+ * Fills in the export options that weren't given.
+ * @param {TiledExportOptions} options Export options as given.
+ * @returns {TiledExportOptions} Complete export options.
+ */
+function withDefaults(options) {
+    const tilesetName = options.tilesetName ?? "pathfirst";
+    return { ...options, tilesetName, image: options.image ?? `${tilesetName}.png` };
+}
+
+/**
+ * Lays out one of the tile library's tilesets as a single sprite sheet: a grid of equal cells,
+ * one per tile image, in a stable order so exporting twice gives the same IDs.
+ * @param {TileLibrary} tiles Library of tile images to lay out.
+ * @param {TiledExportOptions} options Export options.
+ * @returns {{source: Tileset, names: string[], columns: Number, rows: Number, cellWidth: Number, cellHeight: Number}}
+ * The tileset being laid out, the name of the tile in each cell, the grid size, and the pixel size of each cell.
+ */
+function layoutTiledSheet(tiles, options) {
+    const source = tiles.getTileset(options.tileset);
+    const names = source.getTiles().map(tile => Symbol.keyFor(tile)).filter(name => name).sort();
+    const frames = names.map(name => source.getFrame(Symbol.for(name)));
+
+    // Sprites can overhang the map grid, so the cells are sized to fit the largest one.
+    const cellWidth = Math.max(source.tileSize, ...frames.map(frame => frame.width));
+    const cellHeight = Math.max(source.tileSize, ...frames.map(frame => frame.height));
+
+    // A roughly square sheet keeps the image a sensible shape however many tiles there are.
+    const columns = Math.max(1, Math.ceil(Math.sqrt(names.length)));
+    const rows = Math.ceil(names.length / columns);
+    return { source, names, columns, rows, cellWidth, cellHeight };
+}
+
+/**
+ * Builds a Tiled tileset describing the sprite sheet drawn by drawTiledSheet(), with the Tile each cell holds.
+ * @param {TileLibrary} tiles Library of tile images to describe.
+ * @param {TiledExportOptions} options Export options.
+ * @returns {{tileset: Object, gids: Map<Symbol, Number>, tileSize: Number}} The tileset, a lookup from tile symbol
+ * to global tile ID, and the size of one cell of the map grid.
+ */
+function buildTiledTileset(tiles, options) {
+    const { source, names, columns, rows, cellWidth, cellHeight } = layoutTiledSheet(tiles, options);
+
+    const gids = new Map();
+    const entries = names.map((name, id) => {
+        // Tiled's global IDs start from our tileset's firstgid, which is 1 (0 means "empty").
+        gids.set(Symbol.for(name), id + 1);
+        return { id, properties: [{ name: TILED_TILE_PROPERTY, type: "string", value: name }] };
+    });
+
+    const tileset = {
+        firstgid: 1,
+        name: options.tilesetName,
+        image: options.image,
+        imagewidth: columns * cellWidth,
+        imageheight: rows * cellHeight,
+        tilewidth: cellWidth,
+        tileheight: cellHeight,
+        tilecount: entries.length,
+        columns,
+        margin: 0,
+        spacing: 0,
+        tiles: entries,
+    };
+
+    return { tileset, gids, tileSize: source.tileSize };
+}
+
+/**
+ * Draws the sprite sheet that exportTiled()'s tileset refers to. Save it next to the map, under the tileset's image name.
+ * @param {TileLibrary} tiles Loaded library of tile images - the same one given to exportTiled().
+ * @param {TiledExportOptions} [options] The same export options given to exportTiled(), so the tile IDs line up.
+ * @returns {HTMLCanvasElement|OffscreenCanvas|null} The sprite sheet, or null if there's nothing to draw it on
+ * (see MapChunk.createCanvas).
+ */
+export function drawTiledSheet(tiles, options = {}) {
+    const { source, names, columns, rows, cellWidth, cellHeight } = layoutTiledSheet(tiles, withDefaults(options));
+    const canvas = MapChunk.createCanvas(columns * cellWidth, rows * cellHeight);
+    if (!canvas) return null;
+
+    const context = canvas.getContext("2d");
+    names.forEach((name, id) => {
+        const tile = Symbol.for(name);
+        // Tiled draws tiles up and to the right from the bottom-left corner of their map cell,
+        // so we tuck each image into the bottom-left corner of its sheet cell to match.
+        const x = (id % columns) * cellWidth;
+        const y = (Math.floor(id / columns) + 1) * cellHeight - source.getFrame(tile).height;
+        source.drawTile(context, tile, x, y);
+    });
+    return canvas;
+}
+
+/**
+ * Converts a skinned map into a Tiled JSON map, with a tile layer for the terrain
+ * and an object layer for coins, enemies, and the start & goal markers.
+ * Path book-keeping annotations are left out. The tileset refers to a sprite sheet image,
+ * which you draw with drawTiledSheet() and save alongside the map.
+ * @param {MapChunk} map Skinned map to export.
+ * @param {TileLibrary} tiles Loaded library of tile images, used to build the tileset.
+ * @param {TiledExportOptions} [options] Export options.
+ * @returns {Object} Map data in Tiled's JSON format, ready for JSON.stringify().
+ */
+export function exportTiled(map, tiles, options = {}) {
+    const { columns, rows } = map.getDimensions();
+    const { tileset, gids, tileSize } = buildTiledTileset(tiles, withDefaults(options));
+
+    // Tiled stores tile layers as a flat array, row by row from the top left.
+    // Autotiled terrain can stack several images in one cell, so we add tile layers as deep as we need.
+    const layerData = [];
+    const objects = [];
+    for (let y = 0; y < rows; y++) {
+        for (let x = 0; x < columns; x++) {
+            const stack = map.getDisplayLayers(x, y);
+            const tile = stack[0] ?? Tile.NONE;
+
+            if (TiledObjectTypes.has(tile)) {
+                // Tile objects in Tiled are anchored at their bottom-left corner.
+                objects.push({
+                    id: objects.length + 1,
+                    name: "",
+                    type: TiledObjectTypes.get(tile),
+                    gid: gids.get(tile),
+                    x: x * tileSize,
+                    y: (y + 1) * tileSize,
+                    // Tile objects are stretched to fit their size, so they take the size of a whole sheet cell.
+                    width: tileset.tilewidth,
+                    height: tileset.tileheight,
+                    rotation: 0,
+                    visible: true,
+                });
+                stack.length = 0;
+            }
+
+            const index = y * columns + x;
+            for (let depth = 0; depth < Math.max(stack.length, layerData.length); depth++) {
+                if (!layerData[depth]) layerData[depth] = new Array(columns * rows).fill(0);
+                layerData[depth][index] = gids.get(stack[depth]) ?? 0;
+            }
+        }
+    }
+
+    // The bottom layer holds the main terrain, and each layer above holds the autotiling details drawn over it.
+    if (layerData.length === 0) layerData.push(new Array(columns * rows).fill(0));
+    const tileLayers = layerData.map((data, depth) => ({
+        type: "tilelayer", id: depth + 1, name: depth === 0 ? "Terrain" : `Terrain Detail ${depth}`,
+        x: 0, y: 0, width: columns, height: rows,
+        opacity: 1, visible: true,
+        data,
+    }));
+
+    return {
+        type: "map",
+        version: "1.10",
+        orientation: "orthogonal",
+        renderorder: "right-down",
+        infinite: false,
+        width: columns,
+        height: rows,
+        tilewidth: tileSize,
+        tileheight: tileSize,
+        nextlayerid: tileLayers.length + 2,
+        nextobjectid: objects.length + 1,
+        layers: [
+            ...tileLayers,
+            {
+                type: "objectgroup", id: tileLayers.length + 1, name: "Objects",
+                x: 0, y: 0, draworder: "topdown",
+                opacity: 1, visible: true,
+                objects,
+            },
+        ],
+        tilesets: [tileset],
+    };
+}
+
+/**
+ * Converts a Tiled JSON map back into a MapChunk, so hand-edited levels can be used for
+ * collision and validation like generated ones. Grass, dirt and autotiling detail images are read back
+ * as Tile.SOLID, so they collide and are drawn just like generated terrain.
+ * @param {Object|string} tmj Map data in Tiled's JSON format, either already parsed or as a JSON string.
+ * @returns {MapChunk} A new map chunk with the imported tiles.
+ */
+export function importTiled(tmj) {
+    if (typeof tmj === "string") tmj = JSON.parse(tmj);
+
+    if (tmj.orientation !== "orthogonal")
+        throw new Error(`Can't import a Tiled map with ${tmj.orientation} orientation; only orthogonal maps are supported.`);
+    if (tmj.infinite)
+        throw new Error("Can't import an infinite Tiled map; please save it with a fixed size.");
+
+    // Build a lookup from global tile IDs to our tile symbols, using the custom property we exported.
+    const tilesByGid = new Map();
+    for (const tileset of tmj.tilesets ?? []) {
+        if (tileset.source)
+            throw new Error(`Tileset "${tileset.source}" is external; please embed it in the map to import.`);
+
+        for (const entry of tileset.tiles ?? []) {
+            const property = (entry.properties ?? []).find(p => p.name === TILED_TILE_PROPERTY);
+            if (property) tilesByGid.set(tileset.firstgid + entry.id, Symbol.for(property.value));
+        }
+    }
+
+    // Objects can also be identified by their type, if an artist drew a plain rectangle instead of a tile object.
+    // Where several tiles share a type, the first one listed is used.
+    const tilesByType = new Map();
+    for (const [tile, type] of TiledObjectTypes) {
+        if (!tilesByType.has(type)) tilesByType.set(type, tile);
+    }
+
+    /**
+     * Translate one global tile ID into our vocabulary.
+     * @param {Number} gid Global tile ID, possibly with flip flags set.
+     * @returns {Symbol} Corresponding tile symbol.
+     */
+    function tileForGid(gid) {
+        gid &= TILED_GID_MASK;
+        if (gid === 0) return Tile.NONE;
+        const tile = tilesByGid.get(gid);
+        if (!tile)
+            throw new Error(`Tiled map uses tile ID ${gid}, which has no "${TILED_TILE_PROPERTY}" property to identify it.`);
+
+        // Terrain variants get chosen automatically at draw time, so store them as the tile they stand for.
+        return tileRegistry.get(tile).variantOf ?? tile;
+    }
+
+    const map = new MapChunk(tmj.width, tmj.height);
+    for (const layer of tmj.layers) {
+        if (layer.type === "tilelayer") {
+            if (!Array.isArray(layer.data))
+                throw new Error(`Tile layer "${layer.name}" is compressed; please save the map with CSV layer format.`);
+
+            for (let i = 0; i < layer.data.length; i++) {
+                const tile = tileForGid(layer.data[i]);
+                if (tile !== Tile.NONE) map.place(tile, i % tmj.width, Math.floor(i / tmj.width));
+            }
+        } else if (layer.type === "objectgroup") {
+            for (const object of layer.objects) {
+                // Tile objects are anchored at their bottom-left corner, rectangles at their top-left.
+                let tile, y;
+                if (object.gid) {
+                    tile = tileForGid(object.gid);
+                    y = Math.round(object.y / tmj.tileheight) - 1;
+                } else {
+                    tile = tilesByType.get(object.type ?? object.class);
+                    y = Math.round(object.y / tmj.tileheight);
+                }
+                if (tile) map.place(tile, Math.round(object.x / tmj.tilewidth), y);
+            }
+        }
+    }
+
+    return map;
+}
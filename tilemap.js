@@ -1,5 +1,7 @@
+import { AutotileRulesets, autotileLayers, neighbourMask } from "./autotile.js";
+
 // Establish consistent vocabulary for referring to tile types, enum-style.
-const Tile = {
+export const Tile = {
     // These are abstract keys that don't correspond to any single tile image.
     NONE: Symbol("none"),
     SOLID: Symbol("solid"),
@@ -14,87 +16,552 @@ const Tile = {
     GREEN_FLAG: Symbol.for("greenFlag"),    
     COIN: Symbol.for("coin"),
     PLAYER_STAND: Symbol.for("playerStand"),
+    // Partial overlays stacked on top of terrain blocks by the autotiler (see autotile.js).
+    TERRAIN_EDGE_LEFT: Symbol.for("terrainEdgeLeft"),
+    TERRAIN_EDGE_RIGHT: Symbol.for("terrainEdgeRight"),
+    TERRAIN_EDGE_BOTTOM: Symbol.for("terrainEdgeBottom"),
+    GRASS_CAP_LEFT: Symbol.for("grassCapLeft"),
+    GRASS_CAP_RIGHT: Symbol.for("grassCapRight"),
+    GRASS_INNER_LEFT: Symbol.for("grassInnerLeft"),
+    GRASS_INNER_RIGHT: Symbol.for("grassInnerRight"),
+    TERRAIN_INNER_BOTTOM_LEFT: Symbol.for("terrainInnerBottomLeft"),
+    TERRAIN_INNER_BOTTOM_RIGHT: Symbol.for("terrainInnerBottomRight"),
+    // Tiles for the other biome themes (see themes.js).
+    STONE_BLOCK: Symbol.for("stoneBlock"),
+    CASTLE_BRICK: Symbol.for("castleBrick"),
+    BLUE_SLIME: Symbol.for("blueSlime"),
+    GEM: Symbol.for("gem"),
+    FLOWER: Symbol.for("flower"),
+    MUSHROOM: Symbol.for("mushroom"),
+    STALACTITE: Symbol.for("stalactite"),
+    BANNER: Symbol.for("banner"),
+
+    // Slopes rise or fall to the right: a full tile over one tile (45°), or half a tile per tile over a low/high pair.
+    SLOPE_UP: Symbol.for("slopeUp"),
+    SLOPE_DOWN: Symbol.for("slopeDown"),
+    GENTLE_SLOPE_UP_LOW: Symbol.for("gentleSlopeUpLow"),
+    GENTLE_SLOPE_UP_HIGH: Symbol.for("gentleSlopeUpHigh"),
+    GENTLE_SLOPE_DOWN_HIGH: Symbol.for("gentleSlopeDownHigh"),
+    GENTLE_SLOPE_DOWN_LOW: Symbol.for("gentleSlopeDownLow"),
+    // The same slopes, cut into the cave and castle themes' terrain.
+    STONE_SLOPE_UP: Symbol.for("stoneSlopeUp"),
+    STONE_SLOPE_DOWN: Symbol.for("stoneSlopeDown"),
+    STONE_GENTLE_SLOPE_UP_LOW: Symbol.for("stoneGentleSlopeUpLow"),
+    STONE_GENTLE_SLOPE_UP_HIGH: Symbol.for("stoneGentleSlopeUpHigh"),
+    STONE_GENTLE_SLOPE_DOWN_HIGH: Symbol.for("stoneGentleSlopeDownHigh"),
+    STONE_GENTLE_SLOPE_DOWN_LOW: Symbol.for("stoneGentleSlopeDownLow"),
+    CASTLE_SLOPE_UP: Symbol.for("castleSlopeUp"),
+    CASTLE_SLOPE_DOWN: Symbol.for("castleSlopeDown"),
+    CASTLE_GENTLE_SLOPE_UP_LOW: Symbol.for("castleGentleSlopeUpLow"),
+    CASTLE_GENTLE_SLOPE_UP_HIGH: Symbol.for("castleGentleSlopeUpHigh"),
+    CASTLE_GENTLE_SLOPE_DOWN_HIGH: Symbol.for("castleGentleSlopeDownHigh"),
+    CASTLE_GENTLE_SLOPE_DOWN_LOW: Symbol.for("castleGentleSlopeDownLow"),
+
+    // Thin platforms that can be jumped up through from below, and only landed on from above.
+    ONE_WAY_PLATFORM: Symbol.for("oneWayPlatform"),
+
+    // Ladders, climbed by pushing up or down (see CharacterState.climbing).
+    LADDER: Symbol.for("ladder"),
 };
 Object.freeze(Tile);
 
-// Gathers up SVG images from the HTML document into images we can
-// stamp into our canvas, keyed by members of the Tile enumeration.
-class TileLibrary {
-    /** @type {Object} Map of HTMLImageElements representing each tile. */
-    #tileImages = {};
-    /** @type {Number} Number of SVG images we have not yet finished loading into usable tiles. */
-    #remainingToLoad = -1;
-    /** @type {Number} Pixel width of a standard tile. */
-    #tileSize = -1;
-
-    /**
-     * Create a new TileLibrary by trawling the HTML document for all SVG tags.
-     * @param {ActionCallback} onLoaded Function to call when loading completes.
-     */
-    constructor(onLoaded) {
-        // Gather all SVG elements in the page, and record them as waiting to load.
-        const svgs = document.getElementsByTagName("svg");
-        this.#remainingToLoad = svgs.length;
-
-        // Track loading progress, and call the callback once all have loaded.
-        // Using arrow function syntax to automatically bind "this" to this context.
-        let onTileLoad = () => {
-            // Once we've loaded the last tile, set our tile size and call the
-            // onLoaded callback, if we were given one.
-            if (--this.#remainingToLoad == 0) {
-                // HACK: Pick one tile arbitrarily to set the size.
-                this.#tileSize = this.#tileImages[Tile.DIRT_BLOCK].width;                
-                if (onLoaded) onLoaded();
-            }
+/**
+ * Callback choosing which tile image to draw for a tile, based on its surroundings.
+ * @callback TileVariantSelector
+ * @param {MapChunk} map Map containing the tile.
+ * @param {Number} x Horizontal coordinate of the tile (0 = leftmost column).
+ * @param {Number} y Vertical coordinate of the tile (0 = top row).
+ * @returns {Symbol} Tile symbol whose image should be drawn in this cell.
+ */
+
+/**
+ * Everything the generator and the game need to know about one kind of tile.
+ * @typedef {Object} TileDefinition
+ * @property {boolean} solid Blocks character movement (see MapChunk.isSolid).
+ * @property {boolean} standable Counts as ground when placing markers on top of it (see MapChunk.placeAtopGround).
+ * @property {boolean} oneWay Can only be landed on from above - characters pass through it any other way (see MapChunk.isOneWay).
+ * @property {boolean} climbable Can be climbed up and down, like a ladder. The top of a climbable column can be stood on,
+ * just like a one-way platform (see MapChunk.isClimbable).
+ * @property {boolean} collectible Can be picked up by the player.
+ * @property {boolean} hazard Hurts the player on contact.
+ * @property {boolean} decorative Purely visual, with no effect on play.
+ * @property {string} [character] Single printable ASCII character used to save this tile in text form (see MapChunk.toText).
+ * @property {string} [skinRole] What the MapSkinner may place this tile as when no theme says otherwise:
+ * "terrain", "oneWay", "ladder", "powerUp", "enemy", or "collectible".
+ * @property {Number} skinWeight Relative chance of the skinner picking this tile over others with the same role.
+ * @property {string} [entity] In play mode, this tile comes alive as this kind of entity, like "patrol" (see entities.js).
+ * @property {Number} score Points the player earns in play mode for collecting this tile, or defeating it.
+ * @property {Symbol} [bumpedInto] In play mode, the tile this one turns into when the player hits it from below.
+ * @property {Symbol} [bumpReward] In play mode, the tile that pops out on top of this one when the player hits it from below.
+ * @property {string} [autotile] Name of the AutotileRuleset used to pick this tile's images from its neighbours.
+ * @property {TileVariantSelector} [render] Chooses which image to draw for this tile, if it isn't autotiled. Draws the tile's own image if absent.
+ * @property {Symbol} [variantOf] For images that are just one look of another tile, the tile they stand for.
+ * @property {{left: Number, right: Number}} [slope] For sloped ground, how high the walkable surface is at the
+ * cell's left and right edges, as a fraction of the tile up from its bottom. Slopes aren't solid: characters
+ * walk into the cell and stand on the surface (see CharacterController.handleCollision).
+ */
+
+// Central list of tile behaviours. Collision, placement, skinning, saving and rendering all consult this,
+// so adding a new kind of tile means adding one definition here, rather than hunting through every class.
+export class TileRegistry {
+    /** @type {TileDefinition} Behaviour of any tile that hasn't been defined: empty, walk-through space.*/
+    static defaults = Object.freeze({
+        solid: false,
+        standable: false,
+        oneWay: false,
+        climbable: false,
+        collectible: false,
+        hazard: false,
+        decorative: false,
+        skinWeight: 1,
+        score: 0,
+    });
+
+    /** @type {Map<Symbol|string, TileDefinition>} Definitions, keyed by tile.*/
+    #definitions = new Map();
+
+    /** @type {Map<string, Symbol|string>} Reverse lookup from text characters to tiles.*/
+    #characters = new Map();
+
+    /**
+     * Declares how a tile behaves. Properties left out take their values from TileRegistry.defaults.
+     * @param {Symbol|string} tile Tile symbol, or book-keeping string, being defined.
+     * @param {Object} properties Any subset of the TileDefinition properties.
+     * @returns {TileRegistry} Reference to self, so calls can be chained.
+     */
+    define(tile, properties) {
+        const definition = Object.freeze({ ...TileRegistry.defaults, ...properties });
+        if (definition.character !== undefined) {
+            // One printable ASCII character each, so saved maps stay plain text that any editor can open.
+            if (!/^[!-~]$/.test(definition.character))
+                throw new Error(`Tile character "${definition.character}" for ${String(tile)} isn't a single printable ASCII character.`);
+            const existing = this.#characters.get(definition.character);
+            if (existing !== undefined && existing !== tile)
+                throw new Error(`Tile character "${definition.character}" is already used by ${String(existing)}.`);
+            this.#characters.set(definition.character, tile);
+        }
+        this.#definitions.set(tile, definition);
+        return this;
+    }
+
+    /**
+     * Looks up how a tile behaves.
+     * @param {Symbol|string} tile Tile to look up.
+     * @returns {TileDefinition} The tile's definition, or the defaults if it was never defined.
+     */
+    get(tile) {
+        return this.#definitions.get(tile) ?? TileRegistry.defaults;
+    }
+
+    /**
+     * Looks up which tile is saved as the given text character.
+     * @param {string} character Single character from a saved map.
+     * @returns {Symbol|string|undefined} The matching tile, or undefined if no tile uses this character.
+     */
+    fromCharacter(character) {
+        return this.#characters.get(character);
+    }
+
+    /**
+     * Finds every tile the skinner may place in the given role.
+     * @param {string} role Skin role to search for, like "enemy".
+     * @returns {Array<Symbol|string>} Tiles defined with this role, in the order they were defined.
+     */
+    withRole(role) {
+        const tiles = [];
+        for (const [tile, definition] of this.#definitions) {
+            if (definition.skinRole === role) tiles.push(tile);
+        }
+        return tiles;
+    }
+}
+
+// The registry shared by the whole generator.
+export const tileRegistry = new TileRegistry();
+
+tileRegistry
+    .define(Tile.NONE, { character: '.' })
+    // Solid ground picks grass tops, dirt, edges and corners to match its neighbours.
+    .define(Tile.SOLID, { solid: true, standable: true, character: '#', skinRole: "terrain", autotile: "grass47" })
+    .define(Tile.GRASS_TOP_BLOCK, { solid: true, standable: true, character: 'G', variantOf: Tile.SOLID })
+    .define(Tile.DIRT_BLOCK, { solid: true, standable: true, character: 'D', variantOf: Tile.SOLID })
+    // ! Boxes give up a coin when bumped from below, leaving an ordinary box behind.
+    .define(Tile.EXCLAMATION_BOX, { solid: true, standable: true, character: '!', skinRole: "powerUp",
+        bumpedInto: Tile.WOOD_BOX, bumpReward: Tile.COIN, score: 50 })
+    .define(Tile.WOOD_BOX, { solid: true, standable: true, character: 'B' })
+    .define(Tile.PINK_SLIME, { hazard: true, character: 'E', skinRole: "enemy", entity: "patrol", score: 200 })
+    .define(Tile.START_SIGN, { decorative: true, character: 'S' })
+    .define(Tile.GREEN_FLAG, { decorative: true, character: 'F' })
+    .define(Tile.COIN, { collectible: true, character: 'o', skinRole: "collectible", score: 100 })
+    .define(Tile.PLAYER_STAND, { decorative: true, character: 'P' })
+    // Theme tiles have no skin role of their own: themes ask for them by name, so unthemed levels never use them.
+    .define(Tile.STONE_BLOCK, { solid: true, standable: true, character: 'R' })
+    .define(Tile.CASTLE_BRICK, { solid: true, standable: true, character: 'C' })
+    .define(Tile.BLUE_SLIME, { hazard: true, character: 'e', entity: "patrol", score: 200 })
+    .define(Tile.GEM, { collectible: true, character: 'g', score: 250 })
+    .define(Tile.FLOWER, { decorative: true, character: 'f' })
+    .define(Tile.MUSHROOM, { decorative: true, character: 'm' })
+    .define(Tile.STALACTITE, { decorative: true, character: 'v' })
+    .define(Tile.BANNER, { decorative: true, character: 'b' })
+    // The plain slopes are drawn as grassy ground. Steep ones are saved as the slash they look like. Gentle ones are
+    // saved as u for going up and n for going down, in upper case for the high half of the pair and lower case for the low.
+    .define(Tile.SLOPE_UP, { character: '/', slope: { left: 0, right: 1 } })
+    .define(Tile.SLOPE_DOWN, { character: '\\', slope: { left: 1, right: 0 } })
+    .define(Tile.GENTLE_SLOPE_UP_LOW, { character: 'u', slope: { left: 0, right: 0.5 } })
+    .define(Tile.GENTLE_SLOPE_UP_HIGH, { character: 'U', slope: { left: 0.5, right: 1 } })
+    .define(Tile.GENTLE_SLOPE_DOWN_HIGH, { character: 'N', slope: { left: 1, right: 0.5 } })
+    .define(Tile.GENTLE_SLOPE_DOWN_LOW, { character: 'n', slope: { left: 0.5, right: 0 } })
+    // Themes dress the slopes in their own terrain (see Theme.slopes). These follow the same pattern as the gentle
+    // grassy ones: a letter for each kind of slope, lower case going up or low, upper case going down or high.
+    .define(Tile.STONE_SLOPE_UP, { character: 'k', slope: { left: 0, right: 1 } })
+    .define(Tile.STONE_SLOPE_DOWN, { character: 'K', slope: { left: 1, right: 0 } })
+    .define(Tile.STONE_GENTLE_SLOPE_UP_LOW, { character: 'j', slope: { left: 0, right: 0.5 } })
+    .define(Tile.STONE_GENTLE_SLOPE_UP_HIGH, { character: 'J', slope: { left: 0.5, right: 1 } })
+    .define(Tile.STONE_GENTLE_SLOPE_DOWN_HIGH, { character: 'L', slope: { left: 1, right: 0.5 } })
+    .define(Tile.STONE_GENTLE_SLOPE_DOWN_LOW, { character: 'l', slope: { left: 0.5, right: 0 } })
+    .define(Tile.CASTLE_SLOPE_UP, { character: 'x', slope: { left: 0, right: 1 } })
+    .define(Tile.CASTLE_SLOPE_DOWN, { character: 'X', slope: { left: 1, right: 0 } })
+    .define(Tile.CASTLE_GENTLE_SLOPE_UP_LOW, { character: 'w', slope: { left: 0, right: 0.5 } })
+    .define(Tile.CASTLE_GENTLE_SLOPE_UP_HIGH, { character: 'W', slope: { left: 0.5, right: 1 } })
+    .define(Tile.CASTLE_GENTLE_SLOPE_DOWN_HIGH, { character: 'Y', slope: { left: 1, right: 0.5 } })
+    .define(Tile.CASTLE_GENTLE_SLOPE_DOWN_LOW, { character: 'y', slope: { left: 0.5, right: 0 } })
+    .define(Tile.ONE_WAY_PLATFORM, { oneWay: true, standable: true, character: '=', skinRole: "oneWay" })
+    .define(Tile.LADDER, { climbable: true, character: 'H', skinRole: "ladder" });
+
+// Autotiling overlays only ever appear as part of a solid terrain tile. They still get characters of their own,
+// so a map that somehow ends up holding one saves and loads like any other. (Brackets point at the edge they trim)
+for (const [overlay, character] of [
+    [Tile.TERRAIN_EDGE_LEFT, '['], [Tile.TERRAIN_EDGE_RIGHT, ']'], [Tile.TERRAIN_EDGE_BOTTOM, '_'],
+    [Tile.GRASS_CAP_LEFT, '('], [Tile.GRASS_CAP_RIGHT, ')'], [Tile.GRASS_INNER_LEFT, '{'], [Tile.GRASS_INNER_RIGHT, '}'],
+    [Tile.TERRAIN_INNER_BOTTOM_LEFT, '<'], [Tile.TERRAIN_INNER_BOTTOM_RIGHT, '>'],
+]) {
+    tileRegistry.define(overlay, { solid: true, standable: true, variantOf: Tile.SOLID, character });
+}
+
+/**
+ * Where to find one tile's picture within a tileset image.
+ * @typedef {Object} TileFrame
+ * @property {CanvasImageSource|Object} image Image containing the tile: either its own image, or a whole sprite sheet.
+ * @property {Number} x Left edge of the tile within the image, in pixels.
+ * @property {Number} y Top edge of the tile within the image, in pixels.
+ * @property {Number} width Width of the tile within the image, in pixels.
+ * @property {Number} height Height of the tile within the image, in pixels.
+ */
+
+/**
+ * Sprite sheet atlas, describing where each tile sits in a single image.
+ * Frame names are Tile names like "grassTopBlock". File extensions like ".png" are ignored,
+ * so the hash-style JSON exported by common sprite packing tools can be used as-is.
+ * @typedef {Object} TileAtlas
+ * @property {Number} [tileSize] Pixel size of one tile on the map grid. Can also be given as meta.tileSize.
+ * @property {Object} [meta] Packing tool metadata. Only tileSize is read.
+ * @property {Object.<string, {x:Number, y:Number, w:Number, h:Number}|{frame:{x:Number, y:Number, w:Number, h:Number}}>} frames
+ * Source rectangle for each tile, keyed by tile name.
+ */
+
+/**
+ * Callback for loading an image from a URL, so the library can be used outside a browser.
+ * @callback ImageLoader
+ * @param {string} url Location of the image to load.
+ * @returns {Promise<CanvasImageSource|Object>} The loaded image, with width and height properties.
+ */
+
+/**
+ * Default image loader, using the browser's Image class.
+ * @type {ImageLoader}
+ */
+function loadImageElement(url) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error(`Could not load image "${url}".`));
+        image.src = url;
+    });
+}
+
+// One complete set of tile pictures drawn at a common size, like "the inline SVGs" or "the castle sprite sheet".
+// Each tile can be its own image, or a frame cut out of a shared sprite sheet.
+export class Tileset {
+    /** @type {string} Name used to choose this tileset when drawing. */
+    name;
+    /** @type {Number} Pixel width (and height) of one tile on the map grid. */
+    tileSize;
+    /** @type {Map<Symbol, TileFrame>} Where to find the picture for each tile. */
+    #frames = new Map();
+    /** @type {Set<Symbol>} Tiles we've already complained about not having, so we only warn once each. */
+    #warnedMissing = new Set();
+
+    /**
+     * Create a new, empty Tileset.
+     * @param {string} name Name used to choose this tileset when drawing.
+     * @param {Number} tileSize Pixel width (and height) of one tile on the map grid.
+     */
+    constructor(name, tileSize) {
+        if (!(tileSize > 0))
+            throw new Error(`Tileset "${name}" needs a positive tile size, not ${tileSize}.`);
+        this.name = name;
+        this.tileSize = tileSize;
+    }
+
+    /**
+     * Sets the picture to draw for a tile. Omit the rectangle to use the whole image.
+     * @param {Symbol} tileSymbol Tile this picture represents.
+     * @param {CanvasImageSource|Object} image Image containing the picture.
+     * @param {Number} [x] Left edge of the picture within the image, in pixels.
+     * @param {Number} [y] Top edge of the picture within the image, in pixels.
+     * @param {Number} [width] Width of the picture within the image, in pixels.
+     * @param {Number} [height] Height of the picture within the image, in pixels.
+     * @returns {Tileset} Reference to self, so calls can be chained.
+     */
+    setFrame(tileSymbol, image, x = 0, y = 0, width, height) {
+        this.#frames.set(tileSymbol, { image, x, y, width, height });
+        return this;
+    }
+
+    /**
+     * Looks up where to find the picture for a tile.
+     * @param {Symbol} tileSymbol Tile to look up.
+     * @returns {TileFrame|undefined} The tile's picture, or undefined if this tileset has none.
+     */
+    getFrame(tileSymbol) {
+        const frame = this.#frames.get(tileSymbol);
+        if (!frame) return undefined;
+        // Whole-image frames take their size from the image, which might not have been known until it loaded.
+        return {
+            image: frame.image,
+            x: frame.x,
+            y: frame.y,
+            width: frame.width ?? frame.image.width,
+            height: frame.height ?? frame.image.height,
         };
+    }
+
+    // Returns the symbols of every tile this tileset has a picture for.
+    getTiles() {
+        return Array.from(this.#frames.keys());
+    }
+
+    /**
+     * Stamps one tile into a canvas, at its native size or scaled.
+     * Tiles this set has no picture for are skipped, with a warning the first time, so one missing tile
+     * in a new tileset doesn't stop the whole map drawing.
+     * @param {CanvasRenderingContext2D} ctx Context to draw into.
+     * @param {Symbol} tileSymbol Tile to draw.
+     * @param {Number} x Left edge to draw at, in the context's current coordinates.
+     * @param {Number} y Top edge to draw at, in the context's current coordinates.
+     * @param {Number} [scale=1] Size to draw at, relative to the tile's size in its image.
+     */
+    drawTile(ctx, tileSymbol, x, y, scale = 1) {
+        const frame = this.getFrame(tileSymbol);
+        if (!frame) {
+            if (!this.#warnedMissing.has(tileSymbol)) {
+                this.#warnedMissing.add(tileSymbol);
+                console.warn(`Tileset "${this.name}" has no picture for tile ${Symbol.keyFor(tileSymbol) ?? String(tileSymbol)}.`);
+            }
+            return;
+        }
+        ctx.drawImage(frame.image, frame.x, frame.y, frame.width, frame.height, x, y, frame.width * scale, frame.height * scale);
+    }
+}
+
+// Collects named tilesets of images we can stamp into our canvas, keyed by members of the Tile enumeration.
+// This class doesn't touch the DOM itself, so it can be used headless by supplying an image loader.
+// See svgtiles.js for filling one with the SVG images embedded in an HTML document.
+export class TileLibrary {
+    /** @type {string} Name of the tileset used when drawing doesn't ask for a specific one. */
+    static DEFAULT_TILESET = "default";
+
+    /** @type {Map<string, Tileset>} Tilesets we've loaded so far, by name. */
+    #tilesets = new Map();
+    /** @type {Set<Promise>} Loads that have not yet finished. */
+    #pending = new Set();
+    /** @type {Error[]} Everything that has gone wrong while loading. */
+    #errors = [];
+    /** @type {ImageLoader} Function to load sprite sheet images with. */
+    #loadImage;
+    /** @type {ActionCallback} Function to call when loading completes. */
+    #onLoaded;
+
+    /**
+     * Create a new, empty TileLibrary.
+     * @param {ActionCallback} [onLoaded] Function to call when all added images have finished loading successfully.
+     * Prefer awaiting the ready property, which also reports errors.
+     * @param {Object} [options]
+     * @param {ImageLoader} [options.loadImage] Function for loading sprite sheets. Defaults to the browser's Image class.
+     */
+    constructor(onLoaded, options = {}) {
+        this.#onLoaded = onLoaded;
+        this.#loadImage = options.loadImage ?? loadImageElement;
+    }
+
+    /**
+     * Promise that settles once everything added to the library so far has finished loading.
+     * Resolves to the library itself, or rejects with an error listing every load that failed.
+     * @type {Promise<TileLibrary>}
+     */
+    get ready() {
+        return Promise.allSettled(this.#pending).then(() => {
+            if (this.#errors.length > 0) {
+                throw new Error(`Failed to load tiles: ${this.#errors.map(e => e.message).join(" ")}`,
+                    { cause: this.#errors.slice() });
+            }
+            return this;
+        });
+    }
+
+    /**
+     * Registers a load in progress, so hasLoaded() and ready wait for it.
+     * @param {Promise} promise The load to wait on.
+     * @returns {Promise} The same load.
+     */
+    #track(promise) {
+        this.#pending.add(promise);
+        promise.catch(error => this.#errors.push(error)).finally(() => {
+            this.#pending.delete(promise);
+            if (this.hasLoaded() && this.#onLoaded) this.#onLoaded();
+        });
+        return promise;
+    }
+
+    /**
+     * Adds a new, empty tileset to fill with images one at a time using addImage().
+     * @param {string} name Name to draw this tileset by.
+     * @param {Number} tileSize Pixel width (and height) of one tile on the map grid.
+     * @returns {Tileset} The new tileset.
+     */
+    createTileset(name, tileSize) {
+        const tileset = new Tileset(name, tileSize);
+        this.#tilesets.set(name, tileset);
+        return tileset;
+    }
+
+    /**
+     * Associates a standalone image with a tile type. If the image is still loading, the library
+     * counts as not loaded until it finishes.
+     * @param {Symbol} tileSymbol Tile this image represents.
+     * @param {HTMLImageElement|Object} image Anything the canvas can draw, with width and height properties.
+     * @param {string} [tilesetName] Tileset to add it to, which must already have been created.
+     */
+    addImage(tileSymbol, image, tilesetName = TileLibrary.DEFAULT_TILESET) {
+        this.getTileset(tilesetName).setFrame(tileSymbol, image);
 
-        // We'll need to load these SVGs into IMG elements to draw them into our canvas.
-        // To do that we'll need to digest their XML contents with this serializer.
-        let serializer = new XMLSerializer();
-        for (let i = 0; i < svgs.length; i++) {
-            // SVG to image stamp borrowed from this StackOverflow answer:
-            // https://stackoverflow.com/questions/57502210/how-to-draw-a-svg-on-canvas-using-javascript
-            let xml = serializer.serializeToString(svgs[i]);
-            let svg64 = btoa(xml);
-            let b64Start = "data:image/svg+xml;base64,";
-            let image64 = b64Start + svg64;
-
-            // Load the SVG data into a raster image we can easily stamp into our canvas.
-            let img = document.createElement("img");
-            img.onload = onTileLoad;
-            img.src = image64;
-
-            // Associate the tile image with the tile type.
-            let key = Symbol.for(svgs[i].id);
-            this.#tileImages[key] = img;
+        // Images that are still loading (like freshly-created IMG elements) hold up hasLoaded() until they finish.
+        // Images that are ready already (like headless stand-ins) count immediately.
+        if (image.complete === false) {
+            const name = Symbol.keyFor(tileSymbol) ?? String(tileSymbol);
+            this.#track(new Promise((resolve, reject) => {
+                image.onload = resolve;
+                image.onerror = () => reject(new Error(`Could not load image for tile ${name} in tileset "${tilesetName}".`));
+            }));
         }
     }
 
-    // Looks up a tile image given a symbol from the Tile enumeration.
-    getImage(tileSymbol) {
-        return this.#tileImages[tileSymbol];
+    /**
+     * Loads a tileset from a sprite sheet image and a JSON atlas saying where each tile sits in it.
+     * @param {string} name Name to draw this tileset by.
+     * @param {string} imageUrl Location of the sprite sheet image.
+     * @param {TileAtlas|string} atlas The atlas data, or the URL of a JSON file to fetch it from.
+     * @returns {Promise<Tileset>} The loaded tileset.
+     */
+    loadAtlas(name, imageUrl, atlas) {
+        return this.#track((async () => {
+            if (typeof atlas === "string") {
+                const response = await fetch(atlas);
+                if (!response.ok)
+                    throw new Error(`Could not load atlas "${atlas}" for tileset "${name}" (${response.status}).`);
+                atlas = await response.json();
+            }
+
+            const tileSize = atlas.tileSize ?? atlas.meta?.tileSize;
+            if (!atlas.frames || !(tileSize > 0))
+                throw new Error(`Atlas for tileset "${name}" needs "frames" and a positive "tileSize".`);
+
+            const image = await this.#loadImage(imageUrl);
+            const tileset = new Tileset(name, tileSize);
+            for (const [frameName, entry] of Object.entries(atlas.frames)) {
+                const rect = entry.frame ?? entry;
+                tileset.setFrame(Symbol.for(frameName.replace(/\.[^.]*$/, "")), image, rect.x, rect.y, rect.w, rect.h);
+            }
+
+            // Only make the tileset available once it's complete, so we never draw half of one.
+            this.#tilesets.set(name, tileset);
+            return tileset;
+        })());
     }
 
-    // Returns the width of a tile in pixels.
-    getSize() {
-        return this.#tileSize;
+    /**
+     * Looks up a tileset by name.
+     * @param {string} [name] Tileset to find. Uses the default tileset if absent.
+     * @returns {Tileset} The tileset.
+     */
+    getTileset(name = TileLibrary.DEFAULT_TILESET) {
+        const tileset = this.#tilesets.get(name);
+        if (!tileset) throw new Error(`No tileset named "${name}" has been loaded.`);
+        return tileset;
     }
 
-    // Returns true if all images have loaded, or false if still loading.
+    // Returns the names of every tileset loaded so far.
+    getTilesetNames() {
+        return Array.from(this.#tilesets.keys());
+    }
+
+    // Returns the errors from any loads that failed.
+    getErrors() {
+        return this.#errors.slice();
+    }
+
+    // Returns true if all images have loaded without error, or false if still loading or if something failed.
     hasLoaded() {
-        return this.#remainingToLoad == 0;
+        return this.#pending.size === 0 && this.#errors.length === 0;
     }
 }
 
+/**
+ * A rectangle of tiles, for marking out a region of a map.
+ * @typedef {Object} TileRect
+ * @property {Number} x Leftmost column of the region.
+ * @property {Number} y Top row of the region.
+ * @property {Number} width Width of the region, in tiles.
+ * @property {Number} height Height of the region, in tiles.
+ */
+
+/**
+ * A piece of level a designer has built by hand, to be placed into a map as-is.
+ * @typedef {Object} PrebuiltChunk
+ * @property {MapChunk} chunk Contents of the piece.
+ * @property {Number} x Column the piece's left edge goes in.
+ * @property {Number} y Row the piece's top edge goes in.
+ */
+
+/**
+ * Designer constraints on the path planned through a map (see Pather.planPath).
+ * @typedef {Object} PathConstraints
+ * @property {{x: Number, y: Number}[]} waypoints Cells the path must pass through, in this order, before reaching the goal.
+ * @property {TileRect[]} keepOut Regions the path must stay out of, and leave unbuilt.
+ * @property {PrebuiltChunk[]} prebuilt Hand-built pieces to place before planning, that the path has to work around.
+ */
+
 // Represents a whole platformer map, or a piece of one,
 // as a 2D array of tile symbols.
-class MapChunk {
+export class MapChunk {
     /** @type {string[][]|Symbol[][]} Array of arrays of tile symbols in the map.*/
     #columns = [];
 
     /** @type {boolean} Flag controlling whether string data in tilemap should be drawn.*/
     printText = true;
 
+    /**
+     * @type {PathConstraints} What a designer wants from the path through this map, besides reaching the right edge.
+     * Only the path planners read these, and clearing the map's tiles leaves them be.
+    */
+    constraints = { waypoints: [], keepOut: [], prebuilt: [] };
+
+    /** @type {Object|null} Offscreen canvas holding the tiles as last drawn, and the settings they were drawn with.*/
+    #cache = null;
+
+    /** @type {{xMin: Number, yMin: Number, xMax: Number, yMax: Number}|null} Tiles changed since the cache was drawn.*/
+    #dirty = null;
+
     /**
      * Build a new map chunk with the given dimensions / initial content.
      * @param {Number} columnCount Width of the map, in tiles.
@@ -140,7 +607,10 @@ class MapChunk {
      */
     place(tile, x, y) {
         const { columns, rows } = this.getDimensions();
-        if (x >= 0 && x < columns && y >= 0 && y < rows) this.#columns[x][y] = tile;
+        if (x >= 0 && x < columns && y >= 0 && y < rows) {
+            this.#columns[x][y] = tile;
+            this.#markDirty(x, y, x, y);
+        }
         return this;
     }
 
@@ -192,6 +662,7 @@ class MapChunk {
                 }
             }
         }
+        this.#markDirty(xMin, yMin, xMax, yMax);
 
         return this;
     }
@@ -221,11 +692,15 @@ class MapChunk {
    
     /**
      * Draws the contents of the map chunk into the provided canvas 2D context.
+     * Tiles are drawn at a whole number of pixels each, so the grid lines up without seams.
+     * They're rendered once into an offscreen canvas and reused, re-rendering only the parts
+     * of the map that have changed since the last draw.
      * @param {CanvasRenderingContext2D} ctx Context to draw into.
      * @param {TileLibrary} tiles Library of tile images to use.
      * @param {Rect} [rect] Portion of the canvas to draw into. Defaults to whole canvas if absent.
+     * @param {string} [tilesetName] Which of the library's tilesets to draw with. Uses the default tileset if absent.
      */
-    draw(ctx, tiles, rect) {
+    draw(ctx, tiles, rect, tilesetName) {
         // Default to the whole canvas if a rect was not provided.
         if (!rect)
             rect = { x: 0, y: 0, width: ctx.canvas.width, height: ctx.canvas.height };
@@ -236,65 +711,198 @@ class MapChunk {
         ctx.resetTransform();
 
         const { columns, rows } = this.getDimensions();
-        // HACK: Drawing full size leaves faint gaps between tiles.
-        // Reducing the effective size by a fudge factor hides this artifact.
-        const tileSize = tiles.getSize() * 0.97;
-        const scale = Math.min(
-            rect.width / (columns * tileSize),
-            rect.height / (rows * tileSize)
-        );
-
-        // Shift the canvas rendering transform to match our drawing rectangle.
-        ctx.translate(rect.x, rect.y);
-        ctx.scale(scale, scale);
+        const tileset = tiles.getTileset(tilesetName);
+        const tileSize = tileset.tileSize;
 
-        // Used for debugging path symbols. 
-        ctx.font = "64px sans-serif";
-        ctx.fillStyle = "#8CF";
+        // Round each tile down to a whole number of pixels, so every tile edge lands exactly on a pixel boundary.
+        // (Drawing at fractional sizes leaves faint gaps between tiles.)
+        const pixelSize = Math.max(1, Math.floor(Math.min(rect.width / columns, rect.height / rows)));
+        const left = Math.round(rect.x);
+        const top = Math.round(rect.y);
 
         // Draw the path through the level, if provided by the generator.
+        // This uses the tileset's own units, so it scales with the tiles.
         if (this.preDraw) {
+            ctx.translate(left, top);
+            ctx.scale(pixelSize / tileSize, pixelSize / tileSize);
             this.preDraw(ctx, tileSize);
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+        }
+
+        const cache = this.#updateCache(tileset, pixelSize);
+        if (cache) {
+            ctx.drawImage(cache.canvas, left, top);
+        } else {
+            // No offscreen canvas available: stamp the tiles straight into the destination instead.
+            ctx.translate(left, top);
+            this.#renderTiles(ctx, tileset, pixelSize, 0, 0, columns - 1, rows - 1);
         }
 
+        // Put the context's transform back the way we found it.
+        ctx.restore();
+    }
+
+    /**
+     * Creates the offscreen canvas that drawn tiles are cached in.
+     * Replace this to supply canvases in other environments, or to return null to skip caching.
+     * @param {Number} width Width of the canvas, in pixels.
+     * @param {Number} height Height of the canvas, in pixels.
+     * @returns {OffscreenCanvas|HTMLCanvasElement|null} A blank canvas, or null if none can be made.
+     */
+    static createCanvas(width, height) {
+        if (typeof OffscreenCanvas !== "undefined") return new OffscreenCanvas(width, height);
+        if (typeof document === "undefined") return null;
+
+        const canvas = document.createElement("canvas");
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    /**
+     * Brings the offscreen tile cache up to date: re-rendering everything if the way we're drawing has changed,
+     * or just the dirty region if only the map contents have.
+     * @param {Tileset} tileset Tileset to draw with.
+     * @param {Number} pixelSize Width of one tile on screen, in whole pixels.
+     * @returns {Object|null} The up-to-date cache, or null if we couldn't make an offscreen canvas.
+     */
+    #updateCache(tileset, pixelSize) {
+        const { columns, rows } = this.getDimensions();
+        let cache = this.#cache;
+
+        if (!cache || cache.tileset !== tileset || cache.pixelSize !== pixelSize || cache.printText !== this.printText) {
+            const canvas = MapChunk.createCanvas(columns * pixelSize, rows * pixelSize);
+            if (!canvas) return null;
+
+            cache = this.#cache = { canvas, context: canvas.getContext("2d"), tileset, pixelSize, printText: this.printText };
+            this.#renderTiles(cache.context, tileset, pixelSize, 0, 0, columns - 1, rows - 1);
+        } else if (this.#dirty) {
+            // Wipe and redraw just the changed region, clipped so we don't double-stamp the tiles around it.
+            const { xMin, yMin, xMax, yMax } = this.#dirty;
+            const context = cache.context;
+            const x = xMin * pixelSize;
+            const y = yMin * pixelSize;
+            const width = (xMax - xMin + 1) * pixelSize;
+            const height = (yMax - yMin + 1) * pixelSize;
+
+            context.save();
+            context.beginPath();
+            context.rect(x, y, width, height);
+            context.clip();
+            context.clearRect(x, y, width, height);
+            this.#renderTiles(context, tileset, pixelSize, xMin, yMin, xMax, yMax);
+            context.restore();
+        }
+
+        this.#dirty = null;
+        return cache;
+    }
+
+    /**
+     * Stamps a rectangle of tiles into a canvas, with the top-left tile of the map at the origin.
+     * @param {CanvasRenderingContext2D} ctx Context to draw into.
+     * @param {Tileset} tileset Tileset to draw with.
+     * @param {Number} pixelSize Width of one tile on screen, in whole pixels.
+     * @param {Number} xMin Leftmost column to draw.
+     * @param {Number} yMin Topmost row to draw.
+     * @param {Number} xMax Rightmost column to draw.
+     * @param {Number} yMax Bottommost row to draw.
+     */
+    #renderTiles(ctx, tileset, pixelSize, xMin, yMin, xMax, yMax) {
+        const scale = pixelSize / tileset.tileSize;
+
+        // Used for debugging path symbols. 
+        ctx.font = `${Math.round(64 * scale)}px sans-serif`;
+        ctx.fillStyle = "#8CF";
+
         // Iterate over our columns left to right.
-        for (let x = 0; x < columns; x++) {
-            // Keep track of the last tile drawn above ("None" to start with)
-            // so we know when to draw solid tiles as grass-topped or not.
-            let lastTile = Tile.NONE;
+        for (let x = xMin; x <= xMax; x++) {
             // Iterate over the tiles in the column top to bottom.
-            for (let y = 0; y < rows; y++) {
-                let tile = this.#columns[x][y];
-
+            for (let y = yMin; y <= yMax; y++) {
                 // Used for debugging path generation. Displays path symbols instead of tiles.
-                if (typeof tile === "string") {                    
-                    if (this.printText)
-                        ctx.fillText(tile, (x+0.25) * tileSize, (y+0.8) * tileSize);
-                    tile = Tile.NONE;
+                const raw = this.#columns[x][y];
+                if (typeof raw === "string" && this.printText) {
+                    ctx.fillText(raw, (x+0.25) * pixelSize, (y+0.8) * pixelSize);
                 }
 
-                // Vary the version of solid tiles being drawn.
-                // Solid tiles under other solid tiles should use the full dirt version.
-                // The top solid tile in a run should have grass on top.
-                if (tile === Tile.SOLID) {
-                    tile =
-                        lastTile === Tile.SOLID ? Tile.DIRT_BLOCK : Tile.GRASS_TOP_BLOCK;
-                    lastTile = Tile.SOLID;
-                } else {
-                    lastTile = tile;
+                // Look up the image(s) for this tile from the TileLibrary
+                // and stamp them at the corresponding place in our tile grid, bottom layer first.
+                for (const tile of this.getDisplayLayers(x, y)) {
+                    tileset.drawTile(ctx, tile, x * pixelSize, y * pixelSize, scale);
                 }
+            }
+        }
+    }
+
+    /**
+     * Records that part of the map has changed, so draw() re-renders it.
+     * The region is grown by one tile each way, since autotiled neighbours may change their look too.
+     * @param {Number} xMin Leftmost changed column.
+     * @param {Number} yMin Topmost changed row.
+     * @param {Number} xMax Rightmost changed column.
+     * @param {Number} yMax Bottommost changed row.
+     */
+    #markDirty(xMin, yMin, xMax, yMax) {
+        // Nothing to track until we've drawn something.
+        if (!this.#cache) return;
 
-                // Skip invalid/empty tiles.
-                if (!tile || tile === Tile.NONE) continue;
+        const { columns, rows } = this.getDimensions();
+        xMin = Math.max(0, xMin - 1);
+        yMin = Math.max(0, yMin - 1);
+        xMax = Math.min(columns - 1, xMax + 1);
+        yMax = Math.min(rows - 1, yMax + 1);
+        if (xMin > xMax || yMin > yMax) return;
 
-                // Look up the image for this tile from the TileLibrary
-                // and stamp it at the corresponding place in our tile grid.
-                ctx.drawImage(tiles.getImage(tile), x * tileSize, y * tileSize);
-            }
+        const dirty = this.#dirty;
+        this.#dirty = dirty ? {
+            xMin: Math.min(dirty.xMin, xMin), yMin: Math.min(dirty.yMin, yMin),
+            xMax: Math.max(dirty.xMax, xMax), yMax: Math.max(dirty.yMax, yMax),
+        } : { xMin, yMin, xMax, yMax };
+    }
+
+    /**
+     * Throws away the cached rendering of this map, so the next draw() re-renders it all.
+     * Use this after changing something draw() can't see, like a tile's render function.
+     */
+    invalidate() {
+        this.#cache = null;
+        this.#dirty = null;
+    }
+
+    /**
+     * Looks up which tile images should be drawn to represent the given cell.
+     * Abstract tiles like Tile.SOLID are resolved into concrete images, and book-keeping strings are hidden.
+     * @param {Number} x Horizontal coordinate of tile (0 = leftmost column).
+     * @param {Number} y Vertical coordinate of tile (0 = top row).
+     * @returns {Symbol[]} Tile symbols with corresponding images in the TileLibrary, bottom layer first. Empty if there's nothing to draw.
+     */
+    getDisplayLayers(x, y) {
+        const tile = this.getTileAt(x, y);
+
+        // Path book-keeping symbols and empty space don't have images of their own.
+        if (typeof tile === "string" || !tile || tile === Tile.NONE) return [];
+
+        // Some tiles, like Tile.SOLID, vary the images they draw based on their neighbours.
+        const { autotile, render } = tileRegistry.get(tile);
+        if (autotile) {
+            const { columns, rows } = this.getDimensions();
+            const ruleset = AutotileRulesets[autotile];
+            // Slopes carry the ground on from the blocks they sit on and lead up to, so they count as the same terrain.
+            const joins = (nx, ny) => this.#columns[nx][ny] === tile || Boolean(tileRegistry.get(this.#columns[nx][ny]).slope);
+            const mask = neighbourMask(x, y, columns, rows, joins, ruleset.diagonals);
+            return autotileLayers(ruleset, mask);
         }
+        return [render ? render(this, x, y) : tile];
+    }
 
-        // Put the context's transform back the way we found it.
-        ctx.restore();
+    /**
+     * Looks up the main tile image representing the given cell - the bottom layer from getDisplayLayers().
+     * @param {Number} x Horizontal coordinate of tile (0 = leftmost column).
+     * @param {Number} y Vertical coordinate of tile (0 = top row).
+     * @returns {Symbol} Tile symbol with a corresponding image in the TileLibrary, or Tile.NONE.
+     */
+    getDisplayTile(x, y) {
+        return this.getDisplayLayers(x, y)[0] ?? Tile.NONE;
     }
 
     /**
@@ -314,23 +922,15 @@ class MapChunk {
         // Scan up the column from the bottom to the top.
         let hasFoundGround = false;
         for (let y = column.length - 1; y >= 0; y--) {
-            let tile = column[y];
-            switch (tile) {
+            if (tileRegistry.get(column[y]).standable) {
                 // Tiles we can stand on: mark that we've found ground.
-                case Tile.SOLID:
-                case Tile.EXCLAMATION_BOX:
-                case Tile.WOOD_BOX:
-                    hasFoundGround = true;
-                    break;
-
+                hasFoundGround = true;
+            } else if (hasFoundGround) {
                 // Tiles we can occupy: if above ground, this is the spot!
                 // Place the tile (replacing anything in this spot) and exit.
-                default:
-                    if (hasFoundGround) {
-                        column[y] = tileToPlace;
-                        return;
-                    }
-                    break;
+                column[y] = tileToPlace;
+                this.#markDirty(x, y, x, y);
+                return this;
             }
         }
 
@@ -338,10 +938,12 @@ class MapChunk {
         if (hasFoundGround) {
             // We found ground but no empty space above? Carve a spot at the top.
             column[0] = tileToPlace;
+            this.#markDirty(x, 0, x, 0);
         } else {
             // No solid ground at all? Place a solid tile at the bottom, and place above that.
             column[column.length - 1] = Tile.SOLID;
             column[column.length - 2] = tileToPlace;
+            this.#markDirty(x, column.length - 2, x, column.length - 1);
         }
 
         return this;
@@ -379,6 +981,7 @@ class MapChunk {
                 dest[destY] = source[y];
             }
         }
+        map.#markDirty(startX, startY, startX + this.#columns.length - 1, startY + this.#columns[0].length - 1);
     }
 
     /**
@@ -388,17 +991,131 @@ class MapChunk {
      * @returns {boolean} True if there is a solid tile at the given coordinates.
      */
     isSolid(x, y) {
-        const tile = this.getTileAt(x, y);
-        switch(tile) {
-            case Tile.SOLID:
-            case Tile.EXCLAMATION_BOX:
-            case SOLID_RESERVATION:
-                return true;
-            default:
-                return false;
+        return tileRegistry.get(this.getTileAt(x, y)).solid;
+    }
+
+    /**
+     * Checks whether the given coordinates contain a one-way platform, that can only be landed on from above.
+     * @param {Number} x Column to check (0 = leftmost column).
+     * @param {Number} y Row to check (0 = top row).
+     * @returns {boolean} True if there is a one-way tile at the given coordinates.
+     */
+    isOneWay(x, y) {
+        return tileRegistry.get(this.getTileAt(x, y)).oneWay;
+    }
+
+    /**
+     * Checks whether the given coordinates contain a tile that can be climbed, like a ladder.
+     * @param {Number} x Column to check (0 = leftmost column).
+     * @param {Number} y Row to check (0 = top row).
+     * @returns {boolean} True if there is a climbable tile at the given coordinates.
+     */
+    isClimbable(x, y) {
+        return tileRegistry.get(this.getTileAt(x, y)).climbable;
+    }
+
+    /**
+     * Finds the height of a slope's walkable surface, at some point across its cell.
+     * @param {Number} x Column to check (0 = leftmost column).
+     * @param {Number} y Row to check (0 = top row).
+     * @param {Number} across How far across the cell to measure, from 0 (its left edge) to 1 (its right edge).
+     * @returns {Number|null} Vertical coordinate of the surface at that point, in tile units, or null if the cell isn't a slope.
+     */
+    slopeSurfaceAt(x, y, across) {
+        const slope = tileRegistry.get(this.getTileAt(x, y)).slope;
+        if (!slope) return null;
+
+        const t = Math.min(Math.max(across, 0), 1);
+        return y + 1 - (slope.left + (slope.right - slope.left) * t);
+    }
+
+    /**
+     * Finds the first cell containing the given tile, scanning columns left to right.
+     * (Handy for finding the start sign and goal flag that prepStartEnd placed)
+     * @param {Symbol} tile Tile to look for.
+     * @returns {{x: Number, y: Number}|null} Coordinates of the tile, or null if it's not in the map.
+     */
+    findTile(tile) {
+        const { columns, rows } = this.getDimensions();
+        for (let x = 0; x < columns; x++) {
+            for (let y = 0; y < rows; y++) {
+                if (this.getTileAt(x, y) === tile) return { x, y };
+            }
         }
+        return null;
     }
     
+    /**
+     * Asks the path planners to route through a cell. Waypoints are visited in the order they're added.
+     * @param {Number} x Column of the cell (0 = leftmost column).
+     * @param {Number} y Row of the cell (0 = top row).
+     * @returns {MapChunk} Reference to self, so calls can be chained.
+     */
+    addWaypoint(x, y) {
+        this.constraints.waypoints.push({ x, y });
+        return this;
+    }
+
+    /**
+     * Asks the path planners to keep the path, and anything they build for it, out of a rectangle of cells.
+     * @param {Number} x Leftmost column of the region.
+     * @param {Number} y Top row of the region.
+     * @param {Number} width Width of the region, in tiles.
+     * @param {Number} height Height of the region, in tiles.
+     * @returns {MapChunk} Reference to self, so calls can be chained.
+     */
+    addKeepOut(x, y, width, height) {
+        this.constraints.keepOut.push({ x, y, width, height });
+        return this;
+    }
+
+    /**
+     * Adds a hand-built piece of level, to be stamped into this map before each attempt to plan a path through it.
+     * It's stamped in straight away too, so it shows up before any planning happens.
+     * @param {MapChunk} chunk Contents of the piece.
+     * @param {Number} x Column the piece's left edge goes in.
+     * @param {Number} y Row the piece's top edge goes in.
+     * @returns {MapChunk} Reference to self, so calls can be chained.
+     */
+    addPrebuilt(chunk, x, y) {
+        this.constraints.prebuilt.push({ chunk, x, y });
+        chunk.stampInto(this, x, y);
+        return this;
+    }
+
+    /**
+     * Stamps all the hand-built pieces back into this map, over whatever's there. (See addPrebuilt)
+     * @returns {MapChunk} Reference to self, so calls can be chained.
+     */
+    stampPrebuilt() {
+        for (const { chunk, x, y } of this.constraints.prebuilt) chunk.stampInto(this, x, y);
+        return this;
+    }
+
+    /**
+     * Checks whether the path planners must leave a cell as it is: it's in a keep-out region, or part of a pre-built piece.
+     * @param {Number} x Column to check (0 = leftmost column).
+     * @param {Number} y Row to check (0 = top row).
+     * @returns {boolean} True if nothing may be built or reserved in this cell.
+     */
+    isLocked(x, y) {
+        return this.keepOutAt(x, y) >= 0 || this.constraints.prebuilt.some(({ chunk, x: left, y: top }) => {
+            const { columns, rows } = chunk.getDimensions();
+            return x >= left && x < left + columns && y >= top && y < top + rows;
+        });
+    }
+
+    /**
+     * Checks whether a cell is inside any of this map's keep-out regions. (See addKeepOut)
+     * @param {Number} x Column to check (0 = leftmost column).
+     * @param {Number} y Row to check (0 = top row).
+     * @returns {Number} Index of the first keep-out region containing the cell, or -1 if it's in none of them.
+     */
+    keepOutAt(x, y) {
+        return this.constraints.keepOut.findIndex(rect =>
+            x >= rect.x && x < rect.x + rect.width && y >= rect.y && y < rect.y + rect.height);
+    }
+
     /**
      * Empties this map, replacing all contents with the "None" tile symbol.
      */
@@ -407,6 +1124,106 @@ class MapChunk {
         this.fill(Tile.NONE, 0, 0, columns, rows);
    }
 
+    /**
+     * Converts this map to text, one line per row and one character per tile (see TileDefinition.character).
+     * Every character is plain ASCII, so saved maps open cleanly in any editor or terminal.
+     * @returns {string} Text grid representing the map, suitable for saving or diffing.
+     */
+    toText() {
+        const { columns, rows } = this.getDimensions();
+        const lines = [];
+        for (let y = 0; y < rows; y++) {
+            let line = "";
+            for (let x = 0; x < columns; x++) {
+                const tile = this.#columns[x][y];
+                // Anything without a character of its own couldn't be told apart on the way back in.
+                const { character } = tileRegistry.get(tile);
+                if (character === undefined)
+                    throw new Error(`Tile ${String(tile)} at (${x}, ${y}) has no text representation.`);
+                line += character;
+            }
+            lines.push(line);
+        }
+        return lines.join("\n");
+    }
+
+    /**
+     * Builds a new map from text produced by toText().
+     * @param {string} text Text grid, one line per row and one character per tile.
+     * @returns {MapChunk} A new map chunk with the decoded contents.
+     */
+    static fromText(text) {
+        // Tolerate Windows line endings and a trailing newline at the end of a saved file.
+        const lines = text.replace(/\r/g, "").replace(/\n+$/, "").split("\n").map(line => Array.from(line));
+        const columns = lines[0].length;
+        if (columns === 0)
+            throw new Error("Map text is empty.");
+
+        const map = new MapChunk(columns, lines.length);
+        for (let y = 0; y < lines.length; y++) {
+            if (lines[y].length !== columns)
+                throw new Error(`Map text row ${y} has ${lines[y].length} tiles, expected ${columns}.`);
+
+            for (let x = 0; x < columns; x++) {
+                const character = lines[y][x];
+                const tile = tileRegistry.fromCharacter(character);
+                // A stray character is more likely a typo or a damaged file than a tile we've never heard of.
+                if (tile === undefined)
+                    throw new Error(`Map text row ${y}, column ${x} has unknown tile character "${character}".`);
+                map.#columns[x][y] = tile;
+            }
+        }
+        return map;
+    }
+
+    /**
+     * Structure used to save a map chunk as JSON.
+     * @typedef {Object} MapChunkData
+     * @property {Number} columns Width of the map, in tiles.
+     * @property {Number} rows Height of the map, in tiles.
+     * @property {string[]} tiles One string per row, one character per tile, as produced by toText().
+     * @property {Object} [constraints] Designer constraints on the path, if there are any (see PathConstraints).
+     * Pre-built pieces are saved as MapChunkData of their own.
+     */
+
+    /**
+     * Called automatically by JSON.stringify(), so maps can be saved with the rest of a level's data.
+     * @returns {MapChunkData} Plain data object representing this map.
+     */
+    toJSON() {
+        const { columns, rows } = this.getDimensions();
+        const data = { columns, rows, tiles: this.toText().split("\n") };
+
+        // Only mention constraints when there are some, so ordinary maps save just as they always have.
+        const { waypoints, keepOut, prebuilt } = this.constraints;
+        if (waypoints.length || keepOut.length || prebuilt.length)
+            data.constraints = { waypoints, keepOut, prebuilt: prebuilt.map(({ chunk, x, y }) => ({ chunk: chunk.toJSON(), x, y })) };
+        return data;
+    }
+
+    /**
+     * Builds a new map from data produced by toJSON().
+     * @param {MapChunkData|string} data Saved map data, either already parsed or as a JSON string.
+     * @returns {MapChunk} A new map chunk with the decoded contents.
+     */
+    static fromJSON(data) {
+        if (typeof data === "string") data = JSON.parse(data);
+
+        const map = MapChunk.fromText(data.tiles.join("\n"));
+        const { columns, rows } = map.getDimensions();
+        if (columns !== data.columns || rows !== data.rows)
+            throw new Error(`Map data claims to be ${data.columns}x${data.rows}, but its tiles are ${columns}x${rows}.`);
+
+        // The pre-built pieces are already part of the saved tiles, so they're not stamped in again here.
+        const constraints = data.constraints ?? {};
+        map.constraints = {
+            waypoints: (constraints.waypoints ?? []).map(({ x, y }) => ({ x, y })),
+            keepOut: (constraints.keepOut ?? []).map(({ x, y, width, height }) => ({ x, y, width, height })),
+            prebuilt: (constraints.prebuilt ?? []).map(({ chunk, x, y }) => ({ chunk: MapChunk.fromJSON(chunk), x, y })),
+        };
+        return map;
+    }
+
     /**
      * Get the aspect ratio of this map chunk.
      * @returns {Number} Ratio of height:width of this map.
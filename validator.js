@@ -0,0 +1,227 @@
+// Reachability checking for any level, whether the pather made it, it was hand-edited, or it came from somewhere else.
+// Rather than trusting the path the generator recorded, we search for a run of our own from the start sign
+// to the goal flag, using exactly the same character physics as play mode.
+
+import { Tile } from "./tilemap.js";
+import { CharacterState } from "./platformer.js";
+
+/**
+ * What a reachability search found.
+ * @typedef {Object} ReachabilityReport
+ * @property {boolean} beatable True if the search found a way from the start sign to the goal flag.
+ * @property {InputState[]|null} inputs Frame-by-frame inputs that win the level from the start, or null if none was found.
+ * They're only good for the same physics as the search: CharacterController.step and handleCollision each frame,
+ * then CharacterController.keepInMap to stop the character at the map's sides, as play mode does.
+ * @property {CharacterState[]|null} path Character states along that winning run, starting with the start state.
+ * @property {Set<string>} reached Cells ("x,y") the character touched somewhere in the search.
+ * @property {Number} statesExplored How many distinct character states the search expanded.
+ * @property {boolean} exhausted True if the search ran out of states to try, rather than stopping at its limit.
+ * If the level isn't beatable but this is true, there's (almost certainly) no way through, at least with these inputs.
+ */
+
+// Best-first search over the character's state space. Each step of the search holds one input for a few frames,
+// and states that land in the same cell of a coarse grid of position, velocity and ability flags count as already seen.
+// The states we keep are always real simulated states, never rounded ones, so a winning run we find is one a player
+// can really follow, frame for frame. Only the search's completeness is approximate: two states that round together
+// might have led different places, so a level we call unbeatable could, rarely, have a very precise way through.
+export class ReachabilityValidator {
+    /** @type {CharacterController} Character physics to use.*/
+    controller;
+
+    /**
+     * @type {Number} How long each input is held for, in seconds, before the search may change it.
+     * Longer holds search faster, but miss manoeuvres that need quicker fingers.
+    */
+    decisionSeconds = 1/15;
+
+    /** @type {Number} How finely positions are told apart, in grid cells per tile.*/
+    positionResolution = 4;
+
+    /** @type {Number} How finely velocities are told apart, in tiles per second.*/
+    velocityResolution = 1;
+
+    /** @type {Number} Most states to expand before giving up, to keep the search from running away on a huge level.*/
+    maxStates = 50000;
+
+    /**
+     * Construct a new validator based on the given character physics.
+     * @param {CharacterController} controller Character physics to use for the search.
+     */
+    constructor(controller) {
+        this.controller = controller;
+    }
+
+    /**
+     * Searches for a way through a level, from its start sign to its goal flag.
+     * Enemies, bumpable blocks and collectibles are left out - this only checks the level's terrain can be traversed.
+     * @param {MapChunk} map Level to check. (See MapChunk.prepStartEnd for placing the start & goal) It's left untouched.
+     * @returns {ReachabilityReport} The winning run, if there is one, and everywhere the search managed to get to.
+     */
+    validate(map) {
+        const { columns, rows } = map.getDimensions();
+        const start = map.findTile(Tile.START_SIGN);
+        if (!start) throw new Error("Can't check a level's reachability without a start sign to begin from.");
+
+        // Stand the character on the floor of the start sign's cell, just like play mode does.
+        const startState = new CharacterState(start.x, start.y + 1 - this.controller.height);
+        startState.framesOnGround = 1;
+        startState.framesSinceGround = 0;
+        startState.facing = 1;
+
+        const framesPerDecision = Math.max(1, Math.round(this.decisionSeconds / this.controller.dt));
+
+        /** @type {Set<string>} */
+        const reached = new Set();
+        const seen = new Set([this.#key(startState)]);
+
+        // Each node remembers how we got to it, so we can read back the winning inputs once we find the flag.
+        // We search greedily, always expanding the states nearest the goal first, in buckets by how many columns
+        // they are from it - levels mostly head toward the goal, so this usually finds a way through long before
+        // breadth-first search would. (Without a goal, every state is as good as any other)
+        const goal = map.findTile(Tile.GREEN_FLAG);
+        const distance = (state) => goal ? Math.abs(goal.x - Math.floor(state.x + this.controller.width / 2)) : 0;
+        const buckets = [];
+        const push = (node) => (buckets[distance(node.state)] ??= []).push(node);
+        push({ state: startState, parent: null, input: null, frames: 0 });
+
+        let explored = 0;
+        let nearest = 0;
+        let winner = null;
+        while (!winner && explored < this.maxStates) {
+            while (nearest < buckets.length && !buckets[nearest]?.length) nearest++;
+            if (nearest >= buckets.length) break;
+            explored++;
+
+            const node = buckets[nearest].pop();
+            for (const input of this.#inputsFor(node.state)) {
+                let state = node.state;
+                let won = false;
+                let frames = 0;
+                while (frames < framesPerDecision && !won && state) {
+                    ({ state, won } = this.#advance(state, input, map, columns, rows, reached));
+                    frames++;
+                }
+
+                // Falling out of the bottom of the map ends this branch of the search.
+                if (!state) continue;
+
+                const child = { state, parent: node, input, frames };
+                if (won) {
+                    winner = child;
+                    break;
+                }
+
+                const key = this.#key(state);
+                if (seen.has(key)) continue;
+                seen.add(key);
+                push(child);
+
+                // A state closer to the goal than any so far jumps the queue.
+                nearest = Math.min(nearest, distance(state));
+            }
+        }
+
+        let inputs = null;
+        let path = null;
+        if (winner) {
+            // Walk back up the search tree, then replay the inputs to collect every frame's state along the way.
+            const steps = [];
+            for (let node = winner; node.parent; node = node.parent) steps.push(node);
+            steps.reverse();
+
+            inputs = [];
+            path = [startState];
+            let state = startState;
+            for (const { input, frames } of steps) {
+                for (let i = 0; i < frames; i++) {
+                    state = this.#advance(state, input, map, columns, rows, reached).state;
+                    inputs.push({ ...input });
+                    path.push(state);
+                }
+            }
+        }
+
+        return {
+            beatable: Boolean(winner),
+            inputs,
+            path,
+            reached,
+            statesExplored: explored,
+            exhausted: !winner && explored < this.maxStates,
+        };
+    }
+
+    /**
+     * Runs one frame of physics, the way a play session does, noting the cells the character touches.
+     * @param {CharacterState} oldState State at the start of the frame.
+     * @param {InputState} input Input held this frame.
+     * @param {MapChunk} map Level being searched.
+     * @param {Number} columns Width of the level, in tiles.
+     * @param {Number} rows Height of the level, in tiles.
+     * @param {Set<string>} reached Cells touched so far, to add to.
+     * @returns {{state: CharacterState|null, won: boolean}} The new state (or null if we fell out of the map),
+     * and whether we touched the goal flag.
+     */
+    #advance(oldState, input, map, columns, rows, reached) {
+        const state = this.controller.step(oldState, input);
+        const { left, right, top, bottom } = this.controller.handleCollision(state, map);
+
+        // The map's sides are walls, just like in play mode.
+        this.controller.keepInMap(state, map);
+
+        if (state.y > rows) return { state: null, won: false };
+
+        let won = false;
+        for (let x = Math.max(left, 0); x <= Math.min(right, columns - 1); x++) {
+            for (let y = Math.max(top, 0); y <= Math.min(bottom, rows - 1); y++) {
+                reached.add(`${x},${y}`);
+                if (map.getTileAt(x, y) === Tile.GREEN_FLAG) won = true;
+            }
+        }
+        return { state, won };
+    }
+
+    /**
+     * Lists the inputs worth trying from a state: every mix of left/right/neither with jump held or not,
+     * plus climbing up or down near a ladder, and dashing either way while it's available.
+     * @param {CharacterState} state State to choose an input for.
+     * @returns {InputState[]} Inputs to try, each to be held for one decision's worth of frames.
+     */
+    #inputsFor(state) {
+        const inputs = [];
+        for (const x of [-1, 0, 1]) {
+            inputs.push({ x, y: 0, jump: false });
+            inputs.push({ x, y: 0, jump: true });
+        }
+        if (state.climbing || state.ladderColumn !== null || state.ladderBelow) {
+            inputs.push({ x: 0, y: -1, jump: false });
+            inputs.push({ x: 0, y: 1, jump: false });
+        }
+        if (this.controller.canDash && !state.dashUsed) {
+            inputs.push({ x: -1, y: 0, jump: false, dash: true });
+            inputs.push({ x: 1, y: 0, jump: false, dash: true });
+        }
+        return inputs;
+    }
+
+    /**
+     * Rounds a state onto the search's coarse grid, so near-identical states are only explored once.
+     * Everything that changes what the character can do next goes into the key - not just where they are.
+     * @param {CharacterState} state State to summarize.
+     * @returns {string} Key shared by all states that round to the same grid cell.
+     */
+    #key(state) {
+        const p = this.positionResolution;
+        const v = this.velocityResolution;
+        return [
+            Math.round(state.x * p), Math.round(state.y * p),
+            Math.round(state.velX / v), Math.round(state.velY / v),
+            Math.min(state.framesSinceGround, this.controller.coyoteFrames + 1),
+            state.jumpHeld, state.jumpWasPressed, state.dashWasPressed,
+            state.climbing, state.onSlope, state.wallContact,
+            state.airJumps, state.dashUsed, state.dashFrames,
+            // Facing only matters for which way a dash goes.
+            this.controller.canDash ? state.facing : 0,
+        ].join();
+    }
+}